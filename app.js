@@ -1,6 +1,7 @@
 // --- MAIN APP LOGIC, EVENT LISTENERS, MODAL HANDLING ---
 
 let currentRoomIdForModal = null;
+let editingTagId = null; // id of the custom tag loaded into the modal's form, or null when adding
 
 // --- MODAL FUNCTIONS ---
 function showWelcomeModal() {
@@ -43,22 +44,1019 @@ function hideMgisComplianceModal() {
     }
 }
 
+let pendingColumnMapping = null; // { resolve, fieldDefs } while the mapping modal is open
+
+// Resolves with { mapping, remember } or null if the user skips the file.
+function showColumnMappingModal(sourceName, headers, fieldDefs, suggested, sampleRow) {
+    if (!elements.columnMappingModal || !elements.columnMappingFields) return Promise.resolve(null);
+    elements.columnMappingFile.textContent = `File: ${sourceName}`;
+    elements.columnMappingFields.innerHTML = fieldDefs.map(field => {
+        const options = headers.map(h => {
+            const sample = sampleRow && sampleRow[h] !== undefined && sampleRow[h] !== null ? ` (e.g. ${String(sampleRow[h]).slice(0, 30)})` : '';
+            return `<option value="${escapeAttribute(h)}" ${suggested[field.key] === h ? 'selected' : ''}>${sanitizeHTML(h + sample)}</option>`;
+        }).join('');
+        return `<div class="grid grid-cols-1 md:grid-cols-2 gap-2 items-center">
+            <label class="text-sm font-medium text-gray-700">${sanitizeHTML(field.label)}${field.required ? ' <span class="text-red-600 font-bold">*</span>' : ''}
+                <span class="block text-xs text-gray-400 font-normal">${sanitizeHTML(field.key)}</span></label>
+            <select data-field="${sanitizeHTML(field.key)}" class="rounded-lg border-gray-300 shadow-sm focus:ring-um-blue focus:border-um-blue text-sm">
+                <option value="">— Not mapped —</option>${options}
+            </select>
+        </div>`;
+    }).join('');
+    if (elements.columnMappingRemember) elements.columnMappingRemember.checked = true;
+    elements.columnMappingModal.classList.remove('hidden');
+    return new Promise(resolve => { pendingColumnMapping = { resolve, fieldDefs }; });
+}
+
+function closeColumnMappingModal(apply) {
+    if (!pendingColumnMapping) return;
+    const { resolve, fieldDefs } = pendingColumnMapping;
+    if (apply) {
+        const mapping = {};
+        elements.columnMappingFields.querySelectorAll('select[data-field]').forEach(sel => {
+            if (sel.value) mapping[sel.dataset.field] = sel.value;
+        });
+        const missing = fieldDefs.filter(f => f.required && !mapping[f.key]);
+        if (missing.length > 0) { alert(`Please map the required field(s): ${missing.map(f => f.label).join(', ')}`); return; }
+        const chosen = Object.values(mapping);
+        if (new Set(chosen).size !== chosen.length) { alert('Each column can only be mapped to one field.'); return; }
+        resolve({ mapping, remember: !!elements.columnMappingRemember?.checked });
+    } else {
+        resolve(null);
+    }
+    pendingColumnMapping = null;
+    elements.columnMappingModal.classList.add('hidden');
+}
+
+let pendingSheetSelection = null; // resolve callback while the sheet selection modal is open
+
+// Resolves with the names of the checked sheets, or null if the user skips the file.
+function showSheetSelectionModal(fileName, sheets) {
+    if (!elements.sheetSelectionModal || !elements.sheetSelectionList) return Promise.resolve(sheets.map(s => s.sheetName));
+    elements.sheetSelectionFile.textContent = `File: ${fileName}`;
+    elements.sheetSelectionList.innerHTML = sheets.map(sheet =>
+        `<label class="flex items-center justify-between text-sm text-gray-700 px-2 py-1 rounded hover:bg-white">
+            <span class="flex items-center"><input type="checkbox" data-sheet="${escapeAttribute(sheet.sheetName)}" ${sheet.rows.length > 0 ? 'checked' : ''} class="mr-2 focus:ring-um-blue text-um-blue">${sanitizeHTML(sheet.sheetName)}</span>
+            <span class="text-xs text-gray-500">${sheet.rows.length} rows</span>
+        </label>`
+    ).join('');
+    elements.sheetSelectionModal.classList.remove('hidden');
+    return new Promise(resolve => { pendingSheetSelection = resolve; });
+}
+
+function closeSheetSelectionModal(apply) {
+    if (!pendingSheetSelection) return;
+    if (apply) {
+        const selected = Array.from(elements.sheetSelectionList.querySelectorAll('input[data-sheet]:checked')).map(cb => cb.dataset.sheet);
+        if (selected.length === 0) { alert('Please select at least one sheet, or skip this file.'); return; }
+        pendingSheetSelection(selected);
+    } else {
+        pendingSheetSelection(null);
+    }
+    pendingSheetSelection = null;
+    elements.sheetSelectionModal.classList.add('hidden');
+}
+
+const fileKindLabels = { room: 'Room data', occupant: 'Occupant data', tags: 'Custom tags', session: 'Session', skip: "Don't import" };
+const fileKindOptions = { spreadsheet: ['room', 'occupant', 'skip'], json: ['tags', 'session', 'skip'] };
+let pendingFileClassification = null; // resolve callback while the classification modal is open
+
+// Resolves with one kind per input (in order), or null if the whole import is cancelled.
+function showFileClassificationModal(inputs) {
+    if (!elements.fileClassificationModal || !elements.fileClassificationList) return Promise.resolve(inputs.map(i => i.kind));
+    elements.fileClassificationList.innerHTML = inputs.map((input, i) => {
+        const options = (fileKindOptions[input.format] || ['skip']).map(kind =>
+            `<option value="${kind}" ${input.kind === kind ? 'selected' : ''}>${fileKindLabels[kind]}</option>`).join('');
+        const badge = input.confidence === 'low'
+            ? '<span class="text-xs px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800">Uncertain</span>'
+            : '<span class="text-xs px-2 py-0.5 rounded-full bg-green-100 text-green-800">Detected</span>';
+        return `<div class="grid grid-cols-1 md:grid-cols-3 gap-2 items-center p-2 rounded-lg ${input.confidence === 'low' ? 'bg-yellow-50 border border-yellow-200' : 'bg-gray-50'}">
+            <div class="md:col-span-2">
+                <div class="text-sm font-medium text-gray-800 flex items-center gap-2">${sanitizeHTML(input.file.name)} ${badge}</div>
+                <div class="text-xs text-gray-500">${sanitizeHTML(input.reason)}</div>
+            </div>
+            <select data-index="${i}" class="rounded-lg border-gray-300 shadow-sm focus:ring-um-blue focus:border-um-blue text-sm">${options}</select>
+        </div>`;
+    }).join('');
+    elements.fileClassificationModal.classList.remove('hidden');
+    return new Promise(resolve => { pendingFileClassification = resolve; });
+}
+
+function closeFileClassificationModal(apply) {
+    if (!pendingFileClassification) return;
+    if (apply) {
+        const kinds = [];
+        elements.fileClassificationList.querySelectorAll('select[data-index]').forEach(sel => { kinds[Number(sel.dataset.index)] = sel.value; });
+        pendingFileClassification(kinds);
+    } else {
+        pendingFileClassification(null);
+    }
+    pendingFileClassification = null;
+    elements.fileClassificationModal.classList.add('hidden');
+}
+
+function showDatasetDiffModal() {
+    if (!elements.diffReportModal || !elements.diffReportContent || !state.datasetDiff) return;
+    const { fromLabel, toLabel, entries } = state.datasetDiff;
+    const counts = { added: 0, removed: 0, changed: 0 };
+    entries.forEach(e => counts[e.change]++);
+    elements.diffReportSummary.innerHTML = `<strong>${sanitizeHTML(fromLabel)}</strong> → <strong>${sanitizeHTML(toLabel)}</strong>: ${counts.added} added, ${counts.removed} removed, ${counts.changed} changed`;
+
+    if (entries.length === 0) {
+        elements.diffReportContent.innerHTML = '<p class="text-sm text-gray-500">No differences in rooms, types, departments or floors.</p>';
+    } else {
+        const byBuilding = {};
+        entries.forEach(e => { (byBuilding[e.building] = byBuilding[e.building] || []).push(e); });
+        const changeStyles = { added: 'bg-green-100 text-green-800', removed: 'bg-red-100 text-red-700', changed: 'bg-yellow-100 text-yellow-800' };
+        elements.diffReportContent.innerHTML = Object.keys(byBuilding).sort().map(building => {
+            const rows = byBuilding[building]
+                .sort((a, b) => a.change.localeCompare(b.change) || String(a.room.rmnbr).localeCompare(String(b.room.rmnbr), undefined, { numeric: true }))
+                .map(e => {
+                    const details = e.changes.length > 0
+                        ? e.changes.map(c => `${sanitizeHTML(c.field)}: <span class="line-through text-gray-400">${sanitizeHTML(String(c.from) || '—')}</span> → ${sanitizeHTML(String(c.to) || '—')}`).join('<br>')
+                        : sanitizeHTML(e.room.typeFull || '');
+                    return `<tr class="border-t">
+                        <td class="px-2 py-1"><span class="text-xs px-2 py-0.5 rounded-full ${changeStyles[e.change]}">${e.change}</span></td>
+                        <td class="px-2 py-1 font-medium">${sanitizeHTML(String(e.room.rmnbr))}</td>
+                        <td class="px-2 py-1">F${sanitizeHTML(String(e.room.floor ?? ''))}</td>
+                        <td class="px-2 py-1 text-gray-600">${details}</td>
+                    </tr>`;
+                }).join('');
+            return `<div><h4 class="font-medium text-um-blue mb-1">${sanitizeHTML(building)} <span class="text-xs text-gray-500">(${byBuilding[building].length})</span></h4>
+                <table class="min-w-full text-sm">${rows}</table></div>`;
+        }).join('');
+    }
+    elements.diffReportModal.classList.remove('hidden');
+}
+
+function hideDatasetDiffModal() {
+    if (elements.diffReportModal) elements.diffReportModal.classList.add('hidden');
+}
+
+function showImportReportModal() {
+    if (!elements.importReportModal || !elements.importReportContent) return;
+    const entries = getRejectedRowEntries(); // Direct call to data.js function
+    const total = entries.reduce((sum, f) => sum + getOpenRejections(f).length, 0);
+    elements.importReportSummary.textContent = [
+        total || state.quarantinedTags.length === 0 ? `${total} row(s) from ${entries.length} file(s) were not imported. Fix them at the source and re-import.` : '',
+        state.quarantinedTags.length ? `${state.quarantinedTags.length} imported tag(s) are quarantined for unsafe links or images.` : ''
+    ].filter(Boolean).join(' ');
+    elements.importReportContent.innerHTML = renderQuarantinedTags() + entries.map(f => {
+        const rejected = getOpenRejections(f); // Direct call to data.js function
+        const rows = rejected.map(({ row, reason }) => {
+            const preview = Object.entries(row).filter(([, v]) => v !== null && v !== undefined && v !== '').slice(0, 6)
+                .map(([k, v]) => `${sanitizeHTML(k)}: ${sanitizeHTML(String(v))}`).join(', ');
+            return `<tr class="border-t">
+                <td class="px-2 py-1 whitespace-nowrap"><span class="text-xs px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800">${sanitizeHTML(reason)}</span></td>
+                <td class="px-2 py-1 text-gray-600 text-xs">${preview || '<em>empty row</em>'}</td>
+            </tr>`;
+        }).join('');
+        return `<div><h4 class="font-medium text-um-blue mb-1">${sanitizeHTML(getSheetLabel(f.name, f.sheet))} <span class="text-xs text-gray-500">(${f.type}, ${rejected.length} of ${f.rows} rows rejected)</span></h4>
+            <table class="min-w-full text-sm">${rows}</table></div>`;
+    }).join('') || (state.quarantinedTags.length ? '' : '<p class="text-sm text-gray-500">Every row was imported.</p>');
+    elements.importReportModal.classList.remove('hidden');
+}
+
+function renderQuarantinedTags() {
+    if (state.quarantinedTags.length === 0) return '';
+    const rows = state.quarantinedTags.map((entry, index) => `<tr class="border-t align-top">
+        <td class="px-2 py-1"><span class="font-medium">${sanitizeHTML(entry.tag.name)}</span><div class="text-xs text-gray-500">${sanitizeHTML(entry.roomLabel)} · from ${sanitizeHTML(entry.source)}</div></td>
+        <td class="px-2 py-1 text-xs text-red-700">${entry.problems.map(problem => sanitizeHTML(problem)).join('<br>')}</td>
+        <td class="px-2 py-1 whitespace-nowrap text-right">
+            <button data-action="release" data-index="${index}" class="text-xs text-um-blue hover:underline disabled:text-gray-400 disabled:no-underline" ${entry.roomId === null ? 'disabled title="No single room to add it to"' : ''}>Add without them</button>
+            <button data-action="discard" data-index="${index}" class="ml-2 text-xs text-red-600 hover:underline">Discard</button>
+        </td>
+    </tr>`).join('');
+    return `<div><h4 class="font-medium text-um-blue mb-1">Quarantined tags <span class="text-xs text-gray-500">(${state.quarantinedTags.length}, not added to any room)</span></h4>
+        <table class="min-w-full text-sm">${rows}</table></div>`;
+}
+
+async function handleImportReportClick(e) {
+    const button = e.target.closest('[data-action]');
+    if (!button || button.disabled) return;
+    const index = Number(button.dataset.index);
+    // Direct calls to data.js functions
+    if (button.dataset.action === 'release') releaseQuarantinedTag(index);
+    else if (button.dataset.action === 'discard') discardQuarantinedTag(index);
+    else return;
+    showImportReportModal();
+    updateFilesListUI(); // Direct call to ui.js function
+    await createSearchIndex(); // Direct call to data.js function
+    await updateResults();       // Direct call to ui.js function
+}
+
+function hideImportReportModal() {
+    if (elements.importReportModal) elements.importReportModal.classList.add('hidden');
+}
+
+function renderAbbreviationList() {
+    if (!elements.abbreviationList) return;
+    const showMapped = !elements.abbreviationShowMapped || elements.abbreviationShowMapped.checked;
+    const usage = getAbbreviationUsage().filter(u => showMapped || !u.expansion); // Direct call to data.js function
+    if (usage.length === 0) {
+        elements.abbreviationList.innerHTML = '<p class="text-sm text-gray-500 p-3">Every room type code in the loaded data has an expansion.</p>';
+        return;
+    }
+    const rows = usage.map(u => {
+        const examples = u.examples.map(r => `${sanitizeHTML(r.building)} ${sanitizeHTML(String(r.rmnbr))}: ${sanitizeHTML(r.typeFull)}`).join('<br>') || '<em>Not in loaded data</em>';
+        return `<tr class="border-t align-top">
+            <td class="px-2 py-2 font-mono text-sm">${sanitizeHTML(u.abbr)}</td>
+            <td class="px-2 py-2 text-sm text-right">${u.count}</td>
+            <td class="px-2 py-2"><input type="text" data-abbr="${escapeAttribute(u.abbr)}" value="${escapeAttribute(u.expansion)}" placeholder="Full name..." class="abbreviation-input w-full text-sm rounded-md border-gray-300 focus:ring-um-blue focus:border-um-blue"></td>
+            <td class="px-2 py-2 text-xs text-gray-500">${examples}</td>
+        </tr>`;
+    }).join('');
+    elements.abbreviationList.innerHTML = `<table class="min-w-full">
+        <thead><tr class="text-xs text-gray-500 text-left"><th class="px-2 py-1">Code</th><th class="px-2 py-1 text-right">Rooms</th><th class="px-2 py-1">Expansion</th><th class="px-2 py-1">Example rooms (current Type)</th></tr></thead>
+        <tbody>${rows}</tbody></table>`;
+}
+
+function showAbbreviationModal() {
+    if (!elements.abbreviationModal) return;
+    renderAbbreviationList();
+    showAbbreviationStatus('');
+    elements.abbreviationModal.classList.remove('hidden');
+}
+
+function showAbbreviationStatus(message) {
+    if (!elements.abbreviationStatus) return;
+    elements.abbreviationStatus.textContent = message;
+    elements.abbreviationStatus.classList.toggle('hidden', !message);
+}
+
+function hideAbbreviationModal() {
+    if (elements.abbreviationModal) elements.abbreviationModal.classList.add('hidden');
+}
+
+async function handleAbbreviationInputChange(e) {
+    if (!e.target.classList.contains('abbreviation-input')) return;
+    const focusedAbbr = document.activeElement && document.activeElement.dataset ? document.activeElement.dataset.abbr : null;
+    await setAbbreviationMapping(e.target.dataset.abbr, e.target.value); // Direct call to data.js function
+    renderAbbreviationList();
+    if (focusedAbbr) {
+        const input = Array.from(elements.abbreviationList.querySelectorAll('.abbreviation-input')).find(el => el.dataset.abbr === focusedAbbr);
+        if (input) input.focus();
+    }
+}
+
+let tagRulesDraft = [];
+
+function renderTagRulesList() {
+    if (!elements.tagRulesList) return;
+    const targetOptions = [['both', 'Type or department'], ['type', 'Room type'], ['department', 'Department']];
+    const rows = tagRulesDraft.map((rule, index) => `<tr class="border-t" data-index="${index}">
+        <td class="px-1 py-2 whitespace-nowrap">
+            <button data-action="up" class="text-gray-500 hover:text-um-blue px-1 disabled:opacity-30" ${index === 0 ? 'disabled' : ''} title="Move up">&uarr;</button>
+            <button data-action="down" class="text-gray-500 hover:text-um-blue px-1 disabled:opacity-30" ${index === tagRulesDraft.length - 1 ? 'disabled' : ''} title="Move down">&darr;</button>
+        </td>
+        <td class="px-1 py-2"><input type="text" data-field="pattern" value="${escapeAttribute(rule.pattern)}" placeholder="vivarium|animal holding" class="w-full text-sm font-mono rounded-md border-gray-300 focus:ring-um-blue focus:border-um-blue"></td>
+        <td class="px-1 py-2"><input type="text" data-field="flags" value="${escapeAttribute(rule.flags)}" class="w-12 text-sm font-mono rounded-md border-gray-300 focus:ring-um-blue focus:border-um-blue"></td>
+        <td class="px-1 py-2"><input type="text" data-field="tag" value="${escapeAttribute(rule.tag)}" placeholder="vivarium" class="w-full text-sm rounded-md border-gray-300 focus:ring-um-blue focus:border-um-blue"></td>
+        <td class="px-1 py-2"><select data-field="target" class="text-sm rounded-md border-gray-300 focus:ring-um-blue focus:border-um-blue">
+            ${targetOptions.map(([value, label]) => `<option value="${value}" ${rule.target === value ? 'selected' : ''}>${label}</option>`).join('')}
+        </select></td>
+        <td class="px-1 py-2 text-xs text-right whitespace-nowrap" data-content="rule-count"></td>
+        <td class="px-1 py-2"><button data-action="delete" class="text-red-500 hover:text-red-700 px-1" title="Delete rule">&times;</button></td>
+    </tr>`).join('');
+    elements.tagRulesList.innerHTML = `<table class="min-w-full">
+        <thead><tr class="text-xs text-gray-500 text-left"><th></th><th class="px-1">Pattern</th><th class="px-1">Flags</th><th class="px-1">Tag</th><th class="px-1">Match against</th><th class="px-1 text-right">Rooms</th><th></th></tr></thead>
+        <tbody>${rows}</tbody></table>`;
+    tagRulesDraft.forEach((rule, index) => updateTagRuleRowPreview(index));
+    updateTagRulesTestResult();
+}
+
+function updateTagRuleRowPreview(index) {
+    const row = elements.tagRulesList.querySelector(`tr[data-index="${index}"]`);
+    if (!row) return;
+    const error = validateTagRule(tagRulesDraft[index]); // Direct call to data.js function
+    const countCell = row.querySelector('[data-content="rule-count"]');
+    const patternInput = row.querySelector('[data-field="pattern"]');
+    patternInput.classList.toggle('border-red-500', !!error && error.startsWith('Invalid pattern'));
+    if (error) {
+        countCell.innerHTML = `<span class="text-red-600" title="${escapeAttribute(error)}">${error.startsWith('Invalid') ? 'Invalid' : '—'}</span>`;
+    } else {
+        countCell.textContent = state.processedData.length > 0 ? countRoomsMatchingTagRule(tagRulesDraft[index]).toString() : '—'; // Direct call to data.js function
+    }
+}
+
+function updateTagRulesTestResult() {
+    if (!elements.tagRulesTestResult) return;
+    const type = elements.tagRulesTestType.value;
+    const dept = elements.tagRulesTestDept.value;
+    if (!type && !dept) {
+        elements.tagRulesTestResult.textContent = 'Enter sample text to see which tags apply.';
+        return;
+    }
+    const tags = getTagsForSample(tagRulesDraft, type, dept); // Direct call to data.js function
+    elements.tagRulesTestResult.innerHTML = tags.length > 0
+        ? tags.map(tag => `<span class="tag-pill tag-blue mr-1">${sanitizeHTML(tag)}</span>`).join('')
+        : '<em>No rules match</em>';
+}
+
+const debouncedTagRulePreview = debounce((index) => {
+    updateTagRuleRowPreview(index);
+    updateTagRulesTestResult();
+}, 250);
+
+function handleTagRulesInput(e) {
+    const row = e.target.closest('tr[data-index]');
+    if (!row || !e.target.dataset.field) return;
+    const index = Number(row.dataset.index);
+    tagRulesDraft[index][e.target.dataset.field] = e.target.value;
+    debouncedTagRulePreview(index);
+}
+
+function handleTagRulesClick(e) {
+    const button = e.target.closest('button[data-action]');
+    const row = e.target.closest('tr[data-index]');
+    if (!button || !row) return;
+    const index = Number(row.dataset.index);
+    const action = button.dataset.action;
+    if (action === 'delete') tagRulesDraft.splice(index, 1);
+    else if (action === 'up' && index > 0) [tagRulesDraft[index - 1], tagRulesDraft[index]] = [tagRulesDraft[index], tagRulesDraft[index - 1]];
+    else if (action === 'down' && index < tagRulesDraft.length - 1) [tagRulesDraft[index + 1], tagRulesDraft[index]] = [tagRulesDraft[index], tagRulesDraft[index + 1]];
+    renderTagRulesList();
+}
+
+function showTagRulesModal() {
+    if (!elements.tagRulesModal) return;
+    tagRulesDraft = state.categoryTagRules.map(rule => ({ ...rule }));
+    if (elements.tagRulesError) elements.tagRulesError.classList.add('hidden');
+    renderTagRulesList();
+    elements.tagRulesModal.classList.remove('hidden');
+}
+
+function hideTagRulesModal() {
+    if (elements.tagRulesModal) elements.tagRulesModal.classList.add('hidden');
+}
+
+async function saveTagRulesFromModal() {
+    const problems = tagRulesDraft
+        .map((rule, index) => ({ index, error: validateTagRule(rule) })) // Direct call to data.js function
+        .filter(p => p.error);
+    if (problems.length > 0) {
+        elements.tagRulesError.textContent = problems.map(p => `Rule ${p.index + 1}: ${p.error}`).join('; ');
+        elements.tagRulesError.classList.remove('hidden');
+        return;
+    }
+    hideTagRulesModal();
+    showLoading(true);
+    updateLoadingStatus('Re-tagging rooms...');
+    try {
+        await saveCategoryTagRules(tagRulesDraft); // Direct call to data.js function
+    } catch (e) {
+        addError(`Could not apply the tag rules: ${e.message}`);
+        console.error(e);
+    } finally {
+        showLoading(false);
+    }
+}
+
+function getOccupantRoomsHTML(occupant) {
+    const rooms = occupant.roomIds.map(id => state.processedData.find(r => String(r.id) === String(id))).filter(Boolean);
+    if (rooms.length === 0) return '<span class="text-gray-400">No loaded rooms</span>';
+    return rooms.map(r => `<button class="people-room-link tag-pill default-tag hover:underline" data-room-id="${r.id}" title="${escapeAttribute(r.typeFull)}">${sanitizeHTML(r.building)} ${sanitizeHTML(String(r.rmnbr))}</button>`).join(' ');
+}
+
+// Email and phone become mailto:/tel: links; everything else is plain text.
+function formatOccupantField(field, value) {
+    if (field === 'email') return `<a href="mailto:${encodeURIComponent(value)}" class="text-um-blue hover:underline">${sanitizeHTML(value)}</a>`;
+    if (field === 'phone') return `<a href="tel:${value.replace(/[^\d+]/g, '')}" class="text-um-blue hover:underline">${sanitizeHTML(value)}</a>`;
+    return sanitizeHTML(value);
+}
+
+const occupantFieldLabels = { title: 'Title', department: 'Department', email: 'Email', phone: 'Phone', uniqname: 'Uniqname' };
+
+function getOccupantDetailsHTML(occupant) {
+    return Object.keys(occupantFieldLabels).filter(field => occupant[field]).map(field => formatOccupantField(field, occupant[field])).join(' · ');
+}
+
+function displayOccupantInfo(occupant) {
+    if (!elements.tagInfoModal || !elements.tagInfoTitle || !elements.tagInfoContent || !occupant) return;
+    elements.tagInfoTitle.textContent = occupant.name;
+    const rows = Object.entries(occupantFieldLabels)
+        .filter(([field]) => occupant[field])
+        .map(([field, label]) => `<div class="mb-3"><h4 class="font-medium text-um-blue mb-1">${label}</h4><p class="text-gray-600">${formatOccupantField(field, occupant[field])}</p></div>`)
+        .join('');
+    elements.tagInfoContent.innerHTML = (rows || '<p class="text-gray-500 mb-3">No details beyond the name were in the occupant file.</p>') +
+        `<div class="mb-2"><h4 class="font-medium text-um-blue mb-1">Rooms</h4><div class="flex flex-wrap gap-1">${getOccupantRoomsHTML(occupant)}</div></div>`;
+    elements.tagInfoModal.classList.remove('hidden');
+}
+window.displayOccupantInfo = displayOccupantInfo; // Make global for ui.js
+
+function renderPeopleList() {
+    if (!elements.peopleList) return;
+    const people = getOccupantList(elements.peopleSearchInput ? elements.peopleSearchInput.value : ''); // Direct call to data.js function
+    if (elements.peopleCount) elements.peopleCount.textContent = `${people.length} of ${Object.keys(state.occupants).length} people`;
+    if (Object.keys(state.occupants).length === 0) {
+        elements.peopleList.innerHTML = '<p class="text-sm text-gray-500 p-3">No occupant data loaded. Upload an occupant file to see people here.</p>';
+        return;
+    }
+    elements.peopleList.innerHTML = people.map(o => `<div class="p-3 border rounded-lg">
+        <div class="font-medium text-gray-900">${sanitizeHTML(o.name)}</div>
+        <div class="text-xs text-gray-500 mb-2">${getOccupantDetailsHTML(o)}</div>
+        <div class="flex flex-wrap gap-1">${getOccupantRoomsHTML(o)}</div>
+    </div>`).join('') || '<p class="text-sm text-gray-500 p-3">No people match this filter.</p>';
+}
+
+function showPeopleModal() {
+    if (!elements.peopleModal) return;
+    renderPeopleList();
+    elements.peopleModal.classList.remove('hidden');
+    if (elements.peopleSearchInput) elements.peopleSearchInput.focus();
+}
+
+function hidePeopleModal() {
+    if (elements.peopleModal) elements.peopleModal.classList.add('hidden');
+}
+
+let tagCatalogEntries = []; // Entries currently listed in the tag catalog; rows refer to them by index
+const selectedCatalogKeys = new Set();
+
+function showTagCatalogModal() {
+    if (!elements.tagCatalogModal) return;
+    selectedCatalogKeys.clear();
+    if (elements.tagCatalogSearch) elements.tagCatalogSearch.value = '';
+    showTagCatalogStatus('');
+    renderTagCatalog();
+    elements.tagCatalogModal.classList.remove('hidden');
+}
+
+function showTagCatalogStatus(message) {
+    if (!elements.tagCatalogStatus) return;
+    elements.tagCatalogStatus.textContent = message;
+    elements.tagCatalogStatus.classList.toggle('hidden', !message);
+}
+
+function hideTagCatalogModal() {
+    if (elements.tagCatalogModal) elements.tagCatalogModal.classList.add('hidden');
+}
+
+function renderTagCatalog() {
+    if (!elements.tagCatalogList) return;
+    const catalog = getTagCatalog(); // Direct call to data.js function
+    const query = (elements.tagCatalogSearch?.value || '').trim().toLowerCase();
+    tagCatalogEntries = query ? catalog.filter(entry => entry.spellings.some(name => name.toLowerCase().includes(query))) : catalog;
+    catalog.forEach(entry => { if (!tagCatalogEntries.includes(entry)) selectedCatalogKeys.delete(entry.key); });
+    const existingKeys = new Set(catalog.map(entry => entry.key));
+    selectedCatalogKeys.forEach(key => { if (!existingKeys.has(key)) selectedCatalogKeys.delete(key); });
+
+    if (elements.tagCatalogCount) elements.tagCatalogCount.textContent = `${tagCatalogEntries.length} of ${catalog.length} tags`;
+    if (elements.tagCatalogMergeBtn) elements.tagCatalogMergeBtn.disabled = selectedCatalogKeys.size < 2;
+    if (tagCatalogEntries.length === 0) {
+        elements.tagCatalogList.innerHTML = `<p class="text-sm text-gray-500 p-3">${catalog.length === 0 ? 'No custom tags yet.' : 'No tags match this filter.'}</p>`;
+        return;
+    }
+    const colorOptions = color => customTagColors.map(c => `<option value="${c}" ${c === color ? 'selected' : ''}>${capitalizeFirst(c)}</option>`).join('');
+    elements.tagCatalogList.innerHTML = tagCatalogEntries.map((entry, index) => {
+        const otherSpellings = entry.spellings.filter(name => name !== entry.name);
+        const hints = [];
+        if (otherSpellings.length > 0) hints.push(`Also written: ${otherSpellings.map(sanitizeHTML).join(', ')}`);
+        if (entry.similar.length > 0) hints.push(`Possible duplicate of ${entry.similar.map(name => `"${sanitizeHTML(name)}"`).join(', ')} <button class="text-um-blue hover:underline ml-1" data-action="merge-similar" data-index="${index}">Merge</button>`);
+        return `<div class="flex flex-wrap items-center gap-3 p-2 border rounded-lg bg-white text-sm">
+            <input type="checkbox" data-action="select" data-index="${index}" ${selectedCatalogKeys.has(entry.key) ? 'checked' : ''} class="focus:ring-um-blue text-um-blue">
+            <div class="flex-grow min-w-0">
+                <span class="tag-pill tag-${normalizeTagColor(entry.color)}">${sanitizeHTML(entry.name)}</span>
+                <span class="text-xs text-gray-500 ml-2">${entry.roomCount} room${entry.roomCount === 1 ? '' : 's'}</span>
+                ${hints.length > 0 ? `<div class="text-xs text-yellow-700 mt-1">${hints.join(' · ')}</div>` : ''}
+            </div>
+            <div class="flex items-center gap-2 text-xs">
+                <button class="text-um-blue hover:underline" data-action="find" data-index="${index}">Find rooms</button>
+                <button class="text-um-blue hover:underline" data-action="rename" data-index="${index}">Rename</button>
+                <select class="text-xs rounded border-gray-300 py-1" data-action="recolor" data-index="${index}">${colorOptions(entry.color)}</select>
+                <button class="text-red-600 hover:underline" data-action="delete" data-index="${index}">Delete</button>
+            </div>
+        </div>`;
+    }).join('');
+}
+
+async function handleTagCatalogClick(e) {
+    const target = e.target.closest('[data-action]');
+    if (!target || target.tagName === 'SELECT') return;
+    const entry = tagCatalogEntries[Number(target.dataset.index)];
+    if (!entry) return;
+    const action = target.dataset.action;
+    // Direct calls to data.js functions
+    if (action === 'select') {
+        if (target.checked) selectedCatalogKeys.add(entry.key);
+        else selectedCatalogKeys.delete(entry.key);
+        elements.tagCatalogMergeBtn.disabled = selectedCatalogKeys.size < 2;
+        return;
+    }
+    if (action === 'find') {
+        hideTagCatalogModal();
+        showCustomTagInResults(entry.name);
+        return;
+    }
+    if (action === 'rename') {
+        const newName = (prompt(`Rename "${entry.name}" in all ${entry.roomCount} rooms to:`, entry.name) || '').trim();
+        if (!newName || newName === entry.name) return;
+        const existing = getTagCatalog().find(other => other.key === newName.toLowerCase() && other.key !== entry.key);
+        if (existing && !confirm(`"${existing.name}" already exists. Rooms that have both will keep "${existing.name}" and its details. Continue?`)) return;
+        const changed = await renameCustomTag(entry.name, newName);
+        showTagCatalogStatus(`Renamed "${entry.name}" to "${newName}" in ${changed} rooms.`);
+    } else if (action === 'delete') {
+        if (!confirm(`Remove "${entry.name}" from all ${entry.roomCount} rooms?`)) return;
+        const result = await deleteCustomTagEverywhere(entry.name);
+        showTagCatalogStatus(`Removed "${entry.name}" from ${result.changed} rooms.`);
+    } else if (action === 'merge-similar') {
+        const names = [entry.name, ...entry.similar];
+        if (!confirm(`Merge ${names.map(name => `"${name}"`).join(', ')} into "${entry.name}"?`)) return;
+        const changed = await mergeCustomTags(names, entry.name);
+        showTagCatalogStatus(`Merged ${names.length} tags into "${entry.name}" in ${changed} rooms.`);
+    }
+    renderTagCatalog();
+}
+
+async function handleTagCatalogChange(e) {
+    if (e.target.dataset.action !== 'recolor') return;
+    const entry = tagCatalogEntries[Number(e.target.dataset.index)];
+    if (!entry) return;
+    await recolorCustomTagEverywhere(entry.name, e.target.value); // Direct call to data.js function
+    renderTagCatalog();
+}
+
+async function mergeSelectedCatalogTags() {
+    const entries = tagCatalogEntries.filter(entry => selectedCatalogKeys.has(entry.key));
+    if (entries.length < 2) return;
+    const targetName = (prompt(`Merge ${entries.length} tags into one named:`, entries[0].name) || '').trim();
+    if (!targetName) return;
+    const changed = await mergeCustomTags(entries.map(entry => entry.name), targetName); // Direct call to data.js function
+    showTagCatalogStatus(`Merged ${entries.length} tags into "${targetName}" in ${changed} rooms.`);
+    selectedCatalogKeys.clear();
+    renderTagCatalog();
+}
+
+// Searches for rooms carrying a custom tag, clearing other filters.
+function showCustomTagInResults(name) {
+    state.activeFilters = { building: '', floor: '', tags: [] };
+    state.searchQuery = getCustomTagSearchTerm(name); // Direct call to data.js function
+    ['buildingFilter', 'buildingFilterMobile', 'floorFilter', 'floorFilterMobile'].forEach(key => { if (elements[key]) elements[key].value = ''; });
+    if (elements.searchInput) elements.searchInput.value = state.searchQuery;
+    if (elements.searchInputMobile) elements.searchInputMobile.value = state.searchQuery;
+    state.currentPage = 1;
+    updateResults(); // Direct call to ui.js function
+}
+
+// Room chips in the people view and occupant details jump to that room in the results.
+function showRoomInResults(roomId) {
+    const room = state.processedData.find(r => String(r.id) === String(roomId));
+    if (!room) return;
+    hidePeopleModal();
+    if (elements.tagInfoModal) elements.tagInfoModal.classList.add('hidden');
+    state.activeFilters.building = room.building;
+    state.activeFilters.floor = '';
+    state.searchQuery = String(room.rmnbr);
+    ['buildingFilter', 'buildingFilterMobile'].forEach(key => { if (elements[key]) elements[key].value = room.building; });
+    ['floorFilter', 'floorFilterMobile'].forEach(key => { if (elements[key]) elements[key].value = ''; });
+    if (elements.searchInput) elements.searchInput.value = state.searchQuery;
+    if (elements.searchInputMobile) elements.searchInputMobile.value = state.searchQuery;
+    state.currentPage = 1;
+    updateResults(); // Direct call to ui.js function
+}
+
+let selectedUnmatchedOccupantId = null;
+
+function renderOccupantResolver() {
+    if (!elements.occupantResolverList) return;
+    const unmatched = getUnmatchedOccupants(); // Direct call to data.js function
+    if (!unmatched.some(u => u.id === selectedUnmatchedOccupantId)) selectedUnmatchedOccupantId = unmatched.length > 0 ? unmatched[0].id : null;
+    elements.occupantResolverList.innerHTML = unmatched.map(u => `<div class="resolver-person p-2 border rounded-lg cursor-pointer ${u.id === selectedUnmatchedOccupantId ? 'border-um-blue bg-blue-50' : 'hover:bg-gray-50'}" data-id="${u.id}">
+        <div class="flex justify-between items-start">
+            <span class="font-medium text-gray-900">${sanitizeHTML(String(u.row.person_name))}</span>
+            <button data-action="dismiss" class="text-xs text-gray-500 hover:text-red-600">Dismiss</button>
+        </div>
+        <div class="text-xs text-gray-500">${sanitizeHTML(u.reason)}</div>
+        <div class="text-xs text-gray-400">${sanitizeHTML(u.source)}</div>
+    </div>`).join('') || '<p class="text-sm text-gray-500 p-3">Everyone has been placed.</p>';
+
+    if (elements.occupantResolverSearch) {
+        elements.occupantResolverSearch.disabled = !selectedUnmatchedOccupantId;
+        const selected = unmatched.find(u => u.id === selectedUnmatchedOccupantId);
+        if (selected && elements.occupantResolverSearch.dataset.forId !== selected.id) {
+            elements.occupantResolverSearch.dataset.forId = selected.id;
+            elements.occupantResolverSearch.value = [selected.row.bld_descrshort, selected.row.rmnbr].filter(Boolean).join(' ');
+        }
+    }
+    renderOccupantResolverRooms();
+}
+
+function renderOccupantResolverRooms() {
+    if (!elements.occupantResolverRooms) return;
+    if (!selectedUnmatchedOccupantId) {
+        elements.occupantResolverRooms.innerHTML = '';
+        return;
+    }
+    const rooms = searchRoomsForAssignment(elements.occupantResolverSearch.value); // Direct call to data.js function
+    elements.occupantResolverRooms.innerHTML = rooms.map(r => `<div class="flex justify-between items-center p-2 border rounded-lg text-sm">
+        <span><strong>${sanitizeHTML(r.building)} ${sanitizeHTML(String(r.rmnbr))}</strong> <span class="text-gray-500">F${sanitizeHTML(String(r.floor))} · ${sanitizeHTML(r.typeFull)}${r.dept_descr ? ' · ' + sanitizeHTML(r.dept_descr) : ''}</span></span>
+        <button data-room-id="${r.id}" class="resolver-assign-btn px-2 py-1 text-xs um-button-maize rounded button-press">Assign</button>
+    </div>`).join('') || '<p class="text-sm text-gray-500 p-2">No rooms match. Try the building code or just the room number.</p>';
+}
+
+function showOccupantResolverModal() {
+    if (!elements.occupantResolverModal) return;
+    selectedUnmatchedOccupantId = null;
+    if (elements.occupantResolverSearch) elements.occupantResolverSearch.dataset.forId = '';
+    renderOccupantResolver();
+    elements.occupantResolverModal.classList.remove('hidden');
+}
+
+function hideOccupantResolverModal() {
+    if (elements.occupantResolverModal) elements.occupantResolverModal.classList.add('hidden');
+}
+
+function handleOccupantResolverListClick(e) {
+    const person = e.target.closest('.resolver-person');
+    if (!person) return;
+    if (e.target.closest('[data-action="dismiss"]')) {
+        dismissUnmatchedOccupant(person.dataset.id); // Direct call to data.js function
+    } else {
+        selectedUnmatchedOccupantId = person.dataset.id;
+    }
+    renderOccupantResolver();
+}
+
+async function handleOccupantResolverAssignClick(e) {
+    const button = e.target.closest('.resolver-assign-btn');
+    if (!button || !selectedUnmatchedOccupantId) return;
+    await assignUnmatchedOccupant(selectedUnmatchedOccupantId, button.dataset.roomId); // Direct call to data.js function
+    renderOccupantResolver();
+}
+
+let pendingSavedWorkspace = null;
+
+async function offerWorkspaceRestore() {
+    const saved = await findRestorableWorkspace(); // Direct call to data.js function
+    if (!saved || !elements.restoreSessionModal) return;
+    pendingSavedWorkspace = saved;
+    state.workspaceRestorePending = true;
+    const rooms = (saved.data.processedData || []).length;
+    const taggedRooms = Object.keys(saved.data.customTags || {}).length;
+    elements.restoreSessionSummary.textContent = `A session from ${new Date(saved.timestamp).toLocaleString()} is saved in this browser: ${rooms} rooms, custom tags on ${taggedRooms} rooms.`;
+    elements.restoreSessionModal.classList.remove('hidden');
+}
+
+async function closeRestoreSessionModal(restore) {
+    if (elements.restoreSessionModal) elements.restoreSessionModal.classList.add('hidden');
+    const saved = pendingSavedWorkspace;
+    pendingSavedWorkspace = null;
+    state.workspaceRestorePending = false;
+    if (!saved) return;
+    if (restore) await restoreSavedWorkspace(saved); // Direct call to data.js function
+    else await deleteSavedWorkspace().catch(e => console.warn('Could not delete the saved session:', e)); // Direct call to data.js function
+}
+
+// Undo/redo from the buttons, keyboard or history list; refreshes whichever views show the changed data.
+async function stepHistoryFromUI(redo, times = 1) {
+    for (let i = 0; i < times; i++) {
+        const entry = redo ? await redoLastChange() : await undoLastChange(); // Direct call to data.js function
+        if (!entry) break;
+    }
+    if (currentRoomIdForModal) updateCustomTagsModalDisplay();
+    if (elements.historyModal && !elements.historyModal.classList.contains('hidden')) renderHistoryList();
+}
+
+function handleHistoryKeydown(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+    // Leave text fields to the browser's own undo.
+    if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+    e.preventDefault();
+    stepHistoryFromUI(key === 'y' || e.shiftKey);
+}
+
+function showHistoryModal() {
+    if (!elements.historyModal) return;
+    renderHistoryList();
+    elements.historyModal.classList.remove('hidden');
+}
+
+function hideHistoryModal() {
+    if (elements.historyModal) elements.historyModal.classList.add('hidden');
+}
+
+// Undone changes are listed above the done ones, so the list reads top to bottom as newest to oldest.
+function renderHistoryList() {
+    if (!elements.historyList) return;
+    const item = (entry, stack, index, undone) =>
+        `<button class="history-entry w-full text-left flex justify-between items-center px-2 py-1 rounded text-sm hover:bg-white ${undone ? 'text-gray-400 line-through' : 'text-gray-700'}" data-stack="${stack}" data-index="${index}">
+            <span>${sanitizeHTML(entry.label)}</span>
+            <span class="text-xs text-gray-500 ml-2 whitespace-nowrap">${new Date(entry.time).toLocaleTimeString()}</span>
+        </button>`;
+    const redoItems = state.redoStack.map((entry, index) => item(entry, 'redo', index, true));
+    const undoItems = state.undoStack.map((entry, index) => item(entry, 'undo', index, false)).reverse();
+    elements.historyList.innerHTML = redoItems.concat(undoItems).join('') || '<p class="text-sm text-gray-500">No changes yet.</p>';
+}
+
+function handleHistoryListClick(e) {
+    const button = e.target.closest('.history-entry');
+    if (!button) return;
+    const stack = button.dataset.stack === 'redo' ? state.redoStack : state.undoStack;
+    stepHistoryFromUI(button.dataset.stack === 'redo', stack.length - Number(button.dataset.index));
+}
+
+let pendingMergeConflict = null; // resolve callback while the merge conflict modal is open
+
+function describeTagForConflict(tag) {
+    const typeFields = (getTagFieldSchema(tag.type)?.fields || []).map(field => [field.label, tag.fields?.[field.key]]); // Direct call to utils.js function
+    const rows = [['Type', tag.type], ['Color', tag.color], ['Description', tag.description], ...typeFields, ['Link', tag.link], ['Contact', tag.contact], ['Image', tag.imageUrl],
+        ['Author', tag.author], ['Last reviewed', tag.reviewed], ['Expires', tag.expires]]
+        .filter(([, value]) => value)
+        .map(([label, value]) => `<div><span class="font-medium text-gray-700">${label}:</span> <span class="text-gray-600 break-all">${sanitizeHTML(value)}</span></div>`);
+    return rows.join('') || '<div class="text-gray-400">No details</div>';
+}
+
+// Resolves with { choice: 'current' | 'incoming' | 'both', applyToRemaining }, or null if the merge is cancelled.
+function showMergeConflictModal(conflict, position, total) {
+    if (!elements.mergeConflictModal) return Promise.resolve({ choice: 'current', applyToRemaining: true });
+    const room = conflict.room || {};
+    elements.mergeConflictSummary.textContent = `Conflict ${position + 1} of ${total}: room ${room.rmnbr || '?'} (${room.building || room.bld_descrshort || 'Unknown Building'}) has a tag "${conflict.existing.name}" in both sessions with different details.`;
+    elements.mergeConflictContent.innerHTML = `
+        <div class="p-3 border rounded-lg text-sm space-y-1"><h4 class="font-semibold text-um-blue mb-1">Current</h4>${describeTagForConflict(conflict.existing)}</div>
+        <div class="p-3 border rounded-lg text-sm space-y-1"><h4 class="font-semibold text-um-blue mb-1">Incoming</h4>${describeTagForConflict(conflict.incoming)}</div>`;
+    const remaining = total - position - 1;
+    elements.mergeConflictApplyRemaining.checked = false;
+    elements.mergeConflictApplyRemaining.parentElement.classList.toggle('hidden', remaining === 0);
+    elements.mergeConflictApplyRemainingLabel.textContent = `Do the same for the remaining ${remaining} conflict${remaining === 1 ? '' : 's'}`;
+    elements.mergeConflictModal.classList.remove('hidden');
+    return new Promise(resolve => { pendingMergeConflict = resolve; });
+}
+
+function closeMergeConflictModal(choice) {
+    if (!pendingMergeConflict) return;
+    pendingMergeConflict(choice ? { choice, applyToRemaining: elements.mergeConflictApplyRemaining.checked } : null);
+    pendingMergeConflict = null;
+    elements.mergeConflictModal.classList.add('hidden');
+}
+
+// Spreadsheets can't carry the encrypted envelope, so ask before writing one in plain text while encryption is on.
+function exportTagsSpreadsheetFromUI(format) {
+    if (state.encryptExports && !confirm('Spreadsheet exports cannot be encrypted. Download the custom tags unencrypted?')) return;
+    exportCustomTagsSpreadsheet(format); // Direct call to data.js function
+}
+
+let pendingTagImport = null; // { plan, fileName, choices, resolve } while the tag import preview is open
+
+const tagImportMatchLabels = { rmrecnbr: 'record number', id: 'room ID', building: 'building and number', number: 'number only' };
+
+function describeRoomForTagImport(room) {
+    return [room.rmnbr, room.building || room.bld_descrshort || 'Unknown Building', room.typeFull].filter(Boolean).map(sanitizeHTML).join(' · ');
+}
+
+// Resolves with the conflict choices to pass to applyTagImport, or null if the import is cancelled.
+// Ambiguous matches are resolved by setting roomId on the plan's sets.
+function showTagImportPreviewModal(plan, fileName) {
+    if (!elements.tagImportPreviewModal) return Promise.resolve({});
+    pendingTagImport = { plan, fileName, choices: {}, resolve: null };
+    elements.tagImportConflictAll.value = '';
+    renderTagImportPreview();
+    elements.tagImportPreviewModal.classList.remove('hidden');
+    return new Promise(resolve => { pendingTagImport.resolve = resolve; });
+}
+
+function renderTagImportPreview() {
+    if (!pendingTagImport) return;
+    const { plan, fileName, choices } = pendingTagImport;
+    const unresolved = plan.sets.filter(set => set.roomId === null).length;
+    let conflictCount = 0;
+    const choiceOptions = selected => [['keep', 'Keep current'], ['overwrite', 'Overwrite'], ['both', 'Keep both']]
+        .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`).join('');
+
+    const setRows = plan.sets.map((set, setIndex) => {
+        const ambiguous = set.candidates.length > 1;
+        const fromFile = [set.ref.rmnbr, set.ref.building].filter(Boolean).map(sanitizeHTML).join(' · ') || `room ${sanitizeHTML(set.sourceId)}`;
+        const roomCell = ambiguous ?
+            `<select class="text-sm rounded border-gray-300 py-1" data-action="room" data-set="${setIndex}">
+                <option value="">Choose a room (skipped until chosen)</option>
+                ${set.candidates.map(room => `<option value="${sanitizeHTML(String(room.id))}" ${String(room.id) === set.roomId ? 'selected' : ''}>${describeRoomForTagImport(room)}</option>`).join('')}
+            </select>` :
+            `<span class="font-medium text-gray-800">${describeRoomForTagImport(set.candidates[0])}</span>`;
+        const conflicts = getTagImportConflicts(set); // Direct call to data.js function
+        conflictCount += conflicts.length;
+        const conflictRows = conflicts.map(conflict => {
+            const key = getTagImportChoiceKey(setIndex, conflict.tagIndex); // Direct call to data.js function
+            return `<div class="mt-2 p-2 bg-gray-50 rounded">
+                <div class="flex flex-wrap items-center justify-between gap-2">
+                    <span>"${sanitizeHTML(conflict.existing.name)}" already exists on this room with different details.</span>
+                    <select class="text-xs rounded border-gray-300 py-1" data-action="conflict" data-key="${key}">${choiceOptions(choices[key] || 'keep')}</select>
+                </div>
+                <details class="mt-1 text-xs"><summary class="cursor-pointer text-um-blue">Compare</summary>
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-2 mt-1">
+                        <div class="p-2 border rounded bg-white space-y-1"><h5 class="font-semibold text-um-blue">Current</h5>${describeTagForConflict(conflict.existing)}</div>
+                        <div class="p-2 border rounded bg-white space-y-1"><h5 class="font-semibold text-um-blue">Incoming</h5>${describeTagForConflict(conflict.incoming)}</div>
+                    </div>
+                </details>
+            </div>`;
+        }).join('');
+        const weakMatch = ambiguous || set.method === 'number';
+        return `<div class="p-3 border rounded-lg text-sm ${ambiguous && set.roomId === null ? 'border-yellow-400 bg-yellow-50' : ''}">
+            <div class="flex flex-wrap items-center justify-between gap-2">
+                <div>${roomCell}</div>
+                <span class="text-xs px-2 py-1 rounded-full ${weakMatch ? 'bg-yellow-100 text-yellow-800' : 'bg-gray-100 text-gray-600'}">Matched by ${tagImportMatchLabels[set.method]}${ambiguous ? ` (${set.candidates.length} rooms)` : ''}</span>
+            </div>
+            <div class="text-xs text-gray-500 mt-1">In file: ${fromFile}</div>
+            <div class="flex flex-wrap gap-1 mt-2">${set.tags.map(tag => `<span class="tag-pill tag-${normalizeTagColor(tag.color)}">${sanitizeHTML(tag.name)}</span>`).join('')}</div>
+            ${conflictRows}
+        </div>`;
+    });
+    const quarantinedRows = plan.quarantined.map(item => `<li>"${sanitizeHTML(item.tag.name)}": ${item.problems.map(problem => sanitizeHTML(problem)).join('; ')}</li>`).join('');
+    const unmatchedRows = plan.unmatched.map(item => {
+        const label = [item.ref.rmnbr, item.ref.building].filter(Boolean).map(sanitizeHTML).join(' · ') || `room ${sanitizeHTML(item.sourceId)}`;
+        return `<li>${label} (${item.tagCount} tag${item.tagCount === 1 ? '' : 's'})</li>`;
+    }).join('');
+
+    elements.tagImportPreviewList.innerHTML = setRows.join('') + (unmatchedRows ?
+        `<div class="p-3 border border-red-200 bg-red-50 rounded-lg text-sm"><h4 class="font-semibold text-red-700 mb-1">No matching room (will be skipped)</h4><ul class="list-disc list-inside text-gray-700">${unmatchedRows}</ul></div>` : '') + (quarantinedRows ?
+        `<div class="p-3 border border-red-200 bg-red-50 rounded-lg text-sm"><h4 class="font-semibold text-red-700 mb-1">Unsafe links or images (will be quarantined in the import report)</h4><ul class="list-disc list-inside text-gray-700 break-all">${quarantinedRows}</ul></div>` : '');
+    elements.tagImportPreviewSummary.textContent = [
+        `${fileName}: ${plan.sets.length} tag set(s) matched to loaded rooms`,
+        unresolved ? `${unresolved} need a room chosen` : '',
+        conflictCount ? `${conflictCount} conflict(s)` : '',
+        plan.unmatched.length ? `${plan.unmatched.length} with no matching room` : '',
+        plan.quarantined.length ? `${plan.quarantined.length} tag(s) quarantined` : ''
+    ].filter(Boolean).join(', ') + '.';
+    elements.tagImportConflictAll.parentElement.classList.toggle('hidden', conflictCount === 0);
+}
+
+function handleTagImportPreviewChange(e) {
+    if (!pendingTagImport) return;
+    const target = e.target;
+    if (target.dataset.action === 'room') {
+        pendingTagImport.plan.sets[Number(target.dataset.set)].roomId = target.value || null;
+        renderTagImportPreview();
+    } else if (target.dataset.action === 'conflict') {
+        pendingTagImport.choices[target.dataset.key] = target.value;
+        elements.tagImportConflictAll.value = '';
+    }
+}
+
+function setAllTagImportConflicts() {
+    const choice = elements.tagImportConflictAll.value;
+    if (!pendingTagImport || !choice) return;
+    pendingTagImport.plan.sets.forEach((set, setIndex) => {
+        getTagImportConflicts(set).forEach(conflict => { pendingTagImport.choices[getTagImportChoiceKey(setIndex, conflict.tagIndex)] = choice; }); // Direct calls to data.js functions
+    });
+    renderTagImportPreview();
+}
+
+function closeTagImportPreviewModal(apply) {
+    if (!pendingTagImport) return;
+    pendingTagImport.resolve(apply ? pendingTagImport.choices : null);
+    pendingTagImport = null;
+    elements.tagImportPreviewModal.classList.add('hidden');
+}
+
+let pendingPassphrase = null; // { resolve, confirm } while the passphrase modal is open
+
+// Resolves with the entered passphrase, or null if cancelled. With confirm, the passphrase is typed twice
+// and must meet the minimum length (used when encrypting).
+function showPassphraseModal({ title, message, confirm = false, error = '' }) {
+    if (!elements.passphraseModal) return Promise.resolve(null);
+    elements.passphraseTitle.textContent = title;
+    elements.passphraseMessage.textContent = message;
+    elements.passphraseInput.value = '';
+    elements.passphraseConfirmInput.value = '';
+    elements.passphraseConfirmInput.classList.toggle('hidden', !confirm);
+    elements.passphraseInput.setAttribute('autocomplete', confirm ? 'new-password' : 'current-password');
+    showPassphraseError(error);
+    elements.passphraseModal.classList.remove('hidden');
+    elements.passphraseInput.focus();
+    return new Promise(resolve => { pendingPassphrase = { resolve, confirm }; });
+}
+
+function showPassphraseError(message) {
+    elements.passphraseError.textContent = message;
+    elements.passphraseError.classList.toggle('hidden', !message);
+}
+
+function closePassphraseModal(apply) {
+    if (!pendingPassphrase) return;
+    const passphrase = elements.passphraseInput.value;
+    if (apply) {
+        if (!passphrase) { showPassphraseError('Enter a passphrase.'); return; }
+        if (pendingPassphrase.confirm) {
+            if (passphrase.length < MIN_PASSPHRASE_LENGTH) { showPassphraseError(`Use at least ${MIN_PASSPHRASE_LENGTH} characters.`); return; }
+            if (passphrase !== elements.passphraseConfirmInput.value) { showPassphraseError('The passphrases do not match.'); return; }
+        }
+    }
+    pendingPassphrase.resolve(apply ? passphrase : null);
+    pendingPassphrase = null;
+    elements.passphraseInput.value = '';
+    elements.passphraseConfirmInput.value = '';
+    elements.passphraseModal.classList.add('hidden');
+}
+
 function displayTagInfo(tag) {
     if (!elements.tagInfoModal || !elements.tagInfoTitle || !elements.tagInfoContent) return;
-    if (!tag || !(tag.isRich || tag.description || tag.link || tag.imageUrl || tag.contact)) return;
+    if (!tag || !(tag.isRich || hasRichTagDetails(tag))) return;
 
     elements.tagInfoTitle.textContent = sanitizeHTML(tag.name);
     let content = '';
-    if (tag.imageUrl) content += `<div class="mb-4"><img src="${sanitizeHTML(tag.imageUrl)}" class="tag-image max-w-full rounded-lg border" alt="Tag image for ${sanitizeHTML(tag.name)}" /></div>`;
+    const photo = tag.imageId ? state.tagImages[tag.imageId] : null;
+    if (photo && isSafeImageDataUrl(photo.dataUrl)) content += `<div class="mb-4"><img src="${photo.dataUrl}" class="tag-image max-w-full rounded-lg border" alt="Photo for ${escapeAttribute(tag.name)}" /></div>`;
+    content += renderTagImageUrlInfo(tag);
     if (tag.description) content += `<div class="mb-4"><h4 class="font-medium text-um-blue mb-1">Description</h4><p class="text-gray-600">${sanitizeHTML(tag.description)}</p></div>`;
+    content += renderTagTypeFieldsInfo(tag);
     if (tag.contact) content += `<div class="mb-4"><h4 class="font-medium text-um-blue mb-1">Contact</h4><p class="text-gray-600">${sanitizeHTML(tag.contact)}</p></div>`;
-    if (tag.link) content += `<div class="mb-4"><h4 class="font-medium text-um-blue mb-1">Related Link</h4><a href="${sanitizeHTML(tag.link)}" target="_blank" rel="noopener noreferrer" class="text-um-blue hover:underline">${sanitizeHTML(tag.link)}</a></div>`;
-    content += `<div class="text-xs text-gray-500 mt-4 border-t pt-2"><p>Type: ${sanitizeHTML(tag.type)}</p><p class="flex items-center">Color: <span class="inline-block w-4 h-4 rounded-full ml-2 tag-${sanitizeHTML(tag.color)} border"></span> <span class="ml-1">${sanitizeHTML(tag.color)}</span></p><p>Created: ${new Date(tag.created).toLocaleString()}</p></div>`;
+    content += renderTagLinkInfo(tag);
+    if (isTagExpired(tag)) content = `<div class="mb-4 p-2 rounded-lg bg-red-50 text-red-700 text-sm">Expired on ${sanitizeHTML(tag.expires)}.${state.includeExpiredTags ? '' : ' It is left out of search results.'}</div>` + content;
+    else if (isTagStale(tag)) content = `<div class="mb-4 p-2 rounded-lg bg-yellow-50 text-yellow-800 text-sm">Not reviewed in over ${tagReviewIntervalDays} days. Check it is still accurate.</div>` + content;
+    const lifecycle = [['Author', tag.author], ['Last reviewed', tag.reviewed], ['Expires', tag.expires]].filter(([, value]) => value)
+        .map(([label, value]) => `<p>${label}: ${sanitizeHTML(value)}</p>`).join('');
+    content += `<div class="text-xs text-gray-500 mt-4 border-t pt-2"><p>Type: ${sanitizeHTML(tag.type)}</p><p class="flex items-center">Color: <span class="inline-block w-4 h-4 rounded-full ml-2 tag-${sanitizeHTML(tag.color)} border"></span> <span class="ml-1">${sanitizeHTML(tag.color)}</span></p>${lifecycle}<p>Created: ${new Date(tag.created).toLocaleString()}</p>${tag.modified ? `<p>Last edited: ${new Date(tag.modified).toLocaleString()}</p>` : ''}</div>`;
     elements.tagInfoContent.innerHTML = content;
     elements.tagInfoModal.classList.remove('hidden');
 }
 window.displayTagInfo = displayTagInfo; // Make global for ui.js
 
+function formatTagFieldValue(field, value) {
+    const text = sanitizeHTML(value);
+    if (field.inputType === 'email') return `<a href="mailto:${encodeURI(value)}" class="text-um-blue hover:underline">${text}</a>`;
+    if (field.inputType === 'tel') return `<a href="tel:${value.replace(/[^\d+]/g, '')}" class="text-um-blue hover:underline">${text}</a>`;
+    return text;
+}
+
+// Image URLs and links are checked against the URL policy again when shown, for tags saved before it existed.
+// Images from hosts outside trustedTagImageHosts only load when the user asks.
+function renderTagImageUrlInfo(tag) {
+    if (!tag.imageUrl) return '';
+    const { url, problem } = checkTagUrl(tag.imageUrl, allowedTagImageSchemes); // Direct call to utils.js function
+    if (problem) return `<div class="mb-4 p-2 rounded-lg bg-red-50 text-red-700 text-sm break-all">Image not shown: its URL ${sanitizeHTML(problem)}.</div>`;
+    if (isExternalImageUrl(url)) { // Direct call to utils.js function
+        return `<div class="mb-4 p-2 rounded-lg bg-yellow-50 text-yellow-800 text-sm">This image is hosted on ${sanitizeHTML(new URL(url).hostname)}, outside the trusted hosts, which can see when it is opened.
+            <button type="button" data-action="load-external-image" data-src="${escapeAttribute(url)}" class="ml-1 text-um-blue hover:underline">Load image</button></div>`;
+    }
+    return `<div class="mb-4"><img src="${escapeAttribute(url)}" class="tag-image max-w-full rounded-lg border" alt="Tag image for ${escapeAttribute(tag.name)}" /></div>`;
+}
+
+function loadExternalTagImage(button) {
+    const image = document.createElement('img');
+    image.src = button.dataset.src;
+    image.alt = `Tag image for ${elements.tagInfoTitle.textContent}`;
+    image.className = 'tag-image max-w-full rounded-lg border';
+    const container = button.parentElement;
+    container.className = 'mb-4';
+    container.replaceChildren(image);
+}
+
+function renderTagLinkInfo(tag) {
+    if (!tag.link) return '';
+    const { url, problem } = checkTagUrl(tag.link); // Direct call to utils.js function
+    const body = problem ?
+        `<p class="text-gray-600 break-all">${sanitizeHTML(tag.link)}</p><p class="text-xs text-red-700">Not linked: this address ${sanitizeHTML(problem)}.</p>` :
+        `<a href="${escapeAttribute(url)}" target="_blank" rel="noopener noreferrer" class="text-um-blue hover:underline break-all">${sanitizeHTML(tag.link)}</a>`;
+    return `<div class="mb-4"><h4 class="font-medium text-um-blue mb-1">Related Link</h4>${body}</div>`;
+}
+
+// The type-specific section of the tag info modal, e.g. asset ID and serial for equipment.
+function renderTagTypeFieldsInfo(tag) {
+    const schema = getTagFieldSchema(tag.type); // Direct call to utils.js function
+    const filled = (schema?.fields || []).filter(field => tag.fields?.[field.key]);
+    if (filled.length === 0) return '';
+    const rows = filled.map(field => `<dt class="font-medium text-gray-700">${sanitizeHTML(field.label)}</dt><dd class="text-gray-600 break-all">${formatTagFieldValue(field, tag.fields[field.key])}</dd>`).join('');
+    return `<div class="mb-4"><h4 class="font-medium text-um-blue mb-1">${sanitizeHTML(schema.title)}</h4><dl class="grid grid-cols-2 gap-x-4 gap-y-1 text-sm">${rows}</dl></div>`;
+}
+
+function readTagTypeFields() {
+    const fields = {};
+    elements.tagTypeFields?.querySelectorAll('[data-field]').forEach(input => { fields[input.dataset.field] = input.value; });
+    return fields;
+}
+
+// Shows the inputs for the selected type's fields. Without values, keeps whatever was typed into fields of the same key.
+function renderTagTypeFields(values) {
+    const container = elements.tagTypeFields;
+    if (!container) return;
+    const current = values || readTagTypeFields();
+    const schema = getTagFieldSchema(elements.tagTypeSelect?.value); // Direct call to utils.js function
+    container.innerHTML = '';
+    container.classList.toggle('hidden', !schema);
+    if (!schema) return;
+    const title = document.createElement('h5');
+    title.className = 'md:col-span-2 text-sm font-medium text-um-blue';
+    title.textContent = schema.title;
+    container.appendChild(title);
+    schema.fields.forEach(field => {
+        const label = document.createElement('label');
+        label.className = 'block text-xs font-medium text-gray-600';
+        label.textContent = field.label;
+        const input = document.createElement(field.options ? 'select' : 'input');
+        input.className = 'mt-1 w-full rounded-lg border-gray-300 shadow-sm focus:ring-um-blue focus:border-um-blue text-sm';
+        if (field.options) {
+            ['', ...field.options].forEach(option => input.add(new Option(option || 'Not set', option)));
+        } else {
+            input.type = field.inputType || 'text';
+            input.placeholder = `${field.searchPrefix}:…`;
+        }
+        input.dataset.field = field.key;
+        input.value = current[field.key] || '';
+        label.appendChild(input);
+        container.appendChild(label);
+    });
+}
+
 function handleAddTagClick(roomId) {
     const room = state.processedData.find(r => r.id.toString() === roomId.toString()) || state.currentFilteredData.find(r => r.id.toString() === roomId.toString());
     if (!room || !elements.customTagModal || !elements.modalRoomInfo) return;
@@ -67,14 +1065,18 @@ function handleAddTagClick(roomId) {
     elements.modalRoomInfo.textContent = `Room: ${room.rmnbr} - ${room.typeFull} (${room.building || room.bld_descrshort || 'Unknown Building'})`;
     updateCustomTagsModalDisplay();
     clearTagForm();
+    updateTagSuggestions(); // Direct call to ui.js function
     elements.customTagModal.classList.remove('hidden');
     if(elements.tagNameInput) elements.tagNameInput.focus();
 }
 
 function closeTagModal() {
     if (elements.customTagModal) elements.customTagModal.classList.add('hidden');
+    pendingTagImageId = null;
+    pruneUnusedTagImages(); // Direct call to data.js function
     if (state.previouslyFocusedElement) state.previouslyFocusedElement.focus();
     currentRoomIdForModal = null;
+    editingTagId = null;
 }
 
 function updateCustomTagsModalDisplay() {
@@ -99,6 +1101,7 @@ function createTagElementInModal(tagData, type, removable) {
     const span = template.querySelector('span');
     const tagNameEl = span.querySelector('[data-content="tag-name"]');
     const removeBtn = span.querySelector('[data-action="remove-custom-tag"]');
+    const editBtn = span.querySelector('[data-action="edit-custom-tag"]');
     let name, color, isRichTagObject = false;
 
     if (type === 'staff') { name = tagData.startsWith('Staff: ') ? tagData.substring(7) : tagData; color = 'gray'; }
@@ -106,15 +1109,25 @@ function createTagElementInModal(tagData, type, removable) {
 
     tagNameEl.textContent = name;
     span.classList.add(`tag-${color}`);
-    if (isRichTagObject && (tagData.isRich || tagData.description || tagData.link || tagData.imageUrl || tagData.contact)) {
+    if (isRichTagObject && isTagExpired(tagData)) {
+        span.classList.add('expired-tag');
+        span.title = `Expired ${tagData.expires}`;
+    }
+    if (isRichTagObject && (tagData.isRich || hasRichTagDetails(tagData))) {
         span.classList.add('rich-tag'); span.style.cursor = 'pointer';
-        span.onclick = () => displayTagInfo(tagData); // Direct call
+        span.onclick = (e) => { if (!e.target.closest('button')) displayTagInfo(tagData); }; // Direct call
     }
-    if (!removable || !removeBtn) removeBtn?.remove();
-    else {
-        removeBtn.dataset.tagId = tagData.id;
-        if (['maize', 'yellow', 'orange', 'lightblue'].includes(color)) removeBtn.classList.add('text-um-text-on-maize', 'hover:text-red-700');
-        else removeBtn.classList.add('text-gray-300', 'hover:text-white');
+    if (!removable || !removeBtn) {
+        removeBtn?.remove();
+        editBtn?.remove();
+    } else {
+        const onLightColor = ['maize', 'yellow', 'orange', 'lightblue'].includes(color);
+        [removeBtn, editBtn].forEach(btn => {
+            btn.dataset.tagId = tagData.id;
+            if (onLightColor) btn.classList.add('text-um-text-on-maize', 'hover:text-red-700');
+            else btn.classList.add('text-gray-300', 'hover:text-white');
+        });
+        if (String(tagData.id) === String(editingTagId)) span.classList.add('ring-2', 'ring-um-blue');
     }
     return span;
 }
@@ -131,29 +1144,150 @@ function addRichTagFromModal() {
     const imageUrl = elements.tagImageInput?.value?.trim() || '';
     const selectedColorEl = document.querySelector('#custom-tag-modal .color-option.selected');
     const color = selectedColorEl ? selectedColorEl.dataset.color : 'blue';
-    const newRichTag = createRichTag(name, type, description, link, contact, imageUrl, color); // Direct call to utils.js function
+    const lifecycle = { author: elements.tagAuthorInput?.value || '', reviewed: elements.tagReviewedInput?.value || '', expires: elements.tagExpiresInput?.value || '' };
+    const fields = readTagTypeFields();
+    const linkCheck = checkTagUrl(link); // Direct call to utils.js function
+    const imageCheck = checkTagUrl(imageUrl, allowedTagImageSchemes); // Direct call to utils.js function
+    const fieldErrors = [
+        ...getTagFieldErrors(type, fields), // Direct call to utils.js function
+        linkCheck.problem ? `Link ${linkCheck.problem}.` : '',
+        imageCheck.problem ? `Image URL ${imageCheck.problem}.` : ''
+    ].filter(Boolean);
+    if (fieldErrors.length > 0) { alert(fieldErrors.join('\n')); return; }
 
     if (!state.customTags[currentRoomIdForModal]) state.customTags[currentRoomIdForModal] = [];
-    if (state.customTags[currentRoomIdForModal].some(tag => tag.name.toLowerCase() === newRichTag.name.toLowerCase())) {
-        alert(`A tag with the name "${newRichTag.name}" already exists for this room.`); return;
+    const roomTags = state.customTags[currentRoomIdForModal];
+    if (roomTags.some(tag => tag.name.toLowerCase() === name.toLowerCase() && String(tag.id) !== String(editingTagId))) {
+        alert(`A tag with the name "${name}" already exists for this room.`); return;
+    }
+    const editingTag = editingTagId !== null ? roomTags.find(tag => String(tag.id) === String(editingTagId)) : null;
+    if (editingTag) {
+        recordHistory(`Edit tag "${editingTag.name}" in ${getRoomHistoryLabel(currentRoomIdForModal)}`, 'tags'); // Direct call to data.js function
+        updateRichTag(editingTag, name, type, description, linkCheck.url, contact, imageCheck.url, color, lifecycle, fields); // Direct call to utils.js function
+        setTagImage(editingTag, pendingTagImageId); // Direct call to utils.js function
+        clearTagForm();
+        updateCustomTagsModalDisplay();
+        return;
     }
+    const newRichTag = setTagImage(createRichTag(name, type, description, linkCheck.url, contact, imageCheck.url, color, lifecycle, fields), pendingTagImageId); // Direct calls to utils.js functions
+    recordHistory(`Add tag "${newRichTag.name}" to ${getRoomHistoryLabel(currentRoomIdForModal)}`, 'tags'); // Direct call to data.js function
     state.customTags[currentRoomIdForModal].push(newRichTag);
     clearTagForm();
     updateCustomTagsModalDisplay();
 }
 
+// Loads an existing tag into the form; the add button then saves changes to it.
+function editCustomTagInModal(tagId) {
+    const tag = (state.customTags[currentRoomIdForModal] || []).find(t => String(t.id) === String(tagId));
+    if (!tag) return;
+    clearTagForm();
+    editingTagId = tag.id;
+    elements.tagNameInput.value = tag.name;
+    elements.tagTypeSelect.value = tag.type || 'simple';
+    renderTagTypeFields(tag.fields || {});
+    elements.tagDescriptionInput.value = tag.description || '';
+    elements.tagLinkInput.value = tag.link || '';
+    elements.tagContactInput.value = tag.contact || '';
+    elements.tagImageInput.value = tag.imageUrl || '';
+    if (elements.tagAuthorInput) elements.tagAuthorInput.value = tag.author || '';
+    if (elements.tagReviewedInput) elements.tagReviewedInput.value = tag.reviewed || '';
+    if (elements.tagExpiresInput) elements.tagExpiresInput.value = tag.expires || '';
+    document.querySelectorAll('#custom-tag-modal .color-option').forEach(opt => opt.classList.toggle('selected', opt.dataset.color === (tag.color || 'blue')));
+    pendingTagImageId = tag.imageId && state.tagImages[tag.imageId] ? tag.imageId : null;
+    showTagImagePreview();
+    if (elements.tagFormTitle) elements.tagFormTitle.textContent = `Edit Tag "${tag.name}"`;
+    if (elements.addRichTagBtn) elements.addRichTagBtn.textContent = 'Save Changes';
+    if (elements.cancelTagEditBtn) elements.cancelTagEditBtn.classList.remove('hidden');
+    updateCustomTagsModalDisplay();
+    elements.tagNameInput.focus();
+}
+
+function cancelTagEdit() {
+    clearTagForm();
+    updateCustomTagsModalDisplay();
+}
+
+function removeCustomTagFromModal(tagId) {
+    const tags = state.customTags[currentRoomIdForModal] || [];
+    const tag = tags.find(t => t.id.toString() === tagId);
+    if (!tag) return;
+    recordHistory(`Remove tag "${tag.name}" from ${getRoomHistoryLabel(currentRoomIdForModal)}`, 'tags'); // Direct call to data.js function
+    state.customTags[currentRoomIdForModal] = tags.filter(t => t !== tag);
+    if (String(tag.id) === String(editingTagId)) clearTagForm();
+    updateCustomTagsModalDisplay();
+}
+
 function clearTagForm() {
+    editingTagId = null;
+    if (elements.tagFormTitle) elements.tagFormTitle.textContent = 'Create Rich Tag';
+    if (elements.addRichTagBtn) elements.addRichTagBtn.textContent = 'Add Tag';
+    if (elements.cancelTagEditBtn) elements.cancelTagEditBtn.classList.add('hidden');
     if (elements.tagNameInput) elements.tagNameInput.value = '';
     if (elements.tagDescriptionInput) elements.tagDescriptionInput.value = '';
     if (elements.tagLinkInput) elements.tagLinkInput.value = '';
     if (elements.tagContactInput) elements.tagContactInput.value = '';
     if (elements.tagImageInput) elements.tagImageInput.value = '';
+    if (elements.tagAuthorInput) elements.tagAuthorInput.value = '';
+    if (elements.tagReviewedInput) elements.tagReviewedInput.value = '';
+    if (elements.tagExpiresInput) elements.tagExpiresInput.value = '';
     if (elements.tagTypeSelect) elements.tagTypeSelect.value = 'simple';
+    renderTagTypeFields({});
     document.querySelectorAll('#custom-tag-modal .color-option').forEach(opt => opt.classList.remove('selected'));
     const defaultColorOption = document.querySelector('#custom-tag-modal .color-option[data-color="blue"]');
     if (defaultColorOption) defaultColorOption.classList.add('selected');
-    if (elements.imagePreviewContainer) elements.imagePreviewContainer.classList.add('hidden');
-    if (elements.imagePreview) elements.imagePreview.src = '';
+    pendingTagImageId = null;
+    showTagImagePreview();
+}
+
+let pendingTagImageId = null; // Photo chosen in the tag form, attached to the tag when it is added or saved
+
+// Previews the chosen photo, falling back to the image URL.
+function showTagImagePreview() {
+    if (!elements.imagePreview || !elements.imagePreviewContainer) return;
+    const photo = pendingTagImageId ? state.tagImages[pendingTagImageId] : null;
+    const url = elements.tagImageInput?.value?.trim() || '';
+    elements.removeTagPhotoBtn?.classList.toggle('hidden', !photo);
+    elements.imagePreview.onload = null;
+    elements.imagePreview.onerror = null;
+    if (photo) {
+        elements.imagePreview.src = photo.dataUrl;
+        elements.imagePreviewContainer.classList.remove('hidden');
+    } else if (url) {
+        elements.imagePreview.onload = () => elements.imagePreviewContainer.classList.remove('hidden');
+        elements.imagePreview.onerror = () => elements.imagePreviewContainer.classList.add('hidden');
+        elements.imagePreview.src = url;
+    } else {
+        elements.imagePreviewContainer.classList.add('hidden');
+        elements.imagePreview.removeAttribute('src');
+    }
+    updateTagPhotoUsage();
+}
+
+function updateTagPhotoUsage() {
+    if (!elements.tagPhotoUsage) return;
+    const status = getTagImageBudgetStatus(); // Direct call to data.js function
+    elements.tagPhotoUsage.textContent = status.used > 0 ? status.message : '';
+    elements.tagPhotoUsage.classList.toggle('text-red-600', status.warning);
+}
+
+async function handleTagPhotoFiles(files) {
+    const file = Array.from(files || []).find(f => f.type.startsWith('image/'));
+    if (!file) { alert('Choose an image file (JPEG, PNG, HEIC where supported).'); return; }
+    const wasWarning = getTagImageBudgetStatus().warning; // Direct call to data.js function
+    try {
+        pendingTagImageId = await addTagImage(file); // Direct call to data.js function
+    } catch (e) {
+        alert(e.message);
+        return;
+    }
+    showTagImagePreview();
+    const status = getTagImageBudgetStatus(); // Direct call to data.js function
+    if (status.warning && !wasWarning) addError(`${status.message}. Sessions and the local autosave carry every photo; remove ones you no longer need.`);
+}
+
+function removeTagPhotoFromForm() {
+    pendingTagImageId = null;
+    showTagImagePreview();
 }
 
 async function saveCustomTagsFromModal() {
@@ -163,6 +1297,113 @@ async function saveCustomTagsFromModal() {
     await updateResults();       // Direct call to ui.js function
 }
 
+function handleRoomSelectionChange(e) {
+    const checkbox = e.target.closest('[data-action="select-room"]');
+    const roomEl = checkbox && checkbox.closest('[data-room-id]');
+    if (!roomEl) return;
+    if (checkbox.checked) state.selectedRoomIds.add(roomEl.dataset.roomId);
+    else state.selectedRoomIds.delete(roomEl.dataset.roomId);
+    updateSelectionControls(); // Direct call to ui.js function
+}
+
+function handleSelectPageChange(e) {
+    getCurrentPageRooms().forEach(room => { // Direct call to ui.js function
+        if (e.target.checked) state.selectedRoomIds.add(String(room.id));
+        else state.selectedRoomIds.delete(String(room.id));
+    });
+    updateSelectionControls(); // Direct call to ui.js function
+}
+
+function selectAllMatchingRooms() {
+    state.currentFilteredData.forEach(room => state.selectedRoomIds.add(String(room.id)));
+    updateSelectionControls(); // Direct call to ui.js function
+}
+
+function clearRoomSelection() {
+    state.selectedRoomIds.clear();
+    updateSelectionControls(); // Direct call to ui.js function
+}
+
+// Result of the last bulk action, shown in the selection bar.
+function showBulkActionStatus(message) {
+    if (!elements.bulkActionStatus) return;
+    elements.bulkActionStatus.textContent = message;
+    elements.bulkActionStatus.classList.toggle('hidden', !message);
+}
+
+function showBulkTagModal() {
+    if (!elements.bulkTagModal || state.selectedRoomIds.size === 0) return;
+    showBulkActionStatus('');
+    elements.bulkTagSummary.textContent = `Applies to ${state.selectedRoomIds.size} selected room${state.selectedRoomIds.size === 1 ? '' : 's'}.`;
+    ['bulkTagNameInput', 'bulkTagDescriptionInput', 'bulkTagLinkInput', 'bulkTagContactInput', 'bulkTagImageInput'].forEach(key => { elements[key].value = ''; });
+    elements.bulkTagTypeSelect.value = 'simple';
+    selectBulkTagColor('blue');
+    showBulkTagError('');
+    updateBulkTagFields();
+    updateTagSuggestions(); // Direct call to ui.js function
+    elements.bulkTagModal.classList.remove('hidden');
+    elements.bulkTagNameInput.focus();
+}
+
+function hideBulkTagModal() {
+    if (elements.bulkTagModal) elements.bulkTagModal.classList.add('hidden');
+}
+
+function selectBulkTagColor(color) {
+    elements.bulkTagModal.querySelectorAll('.color-option').forEach(opt => opt.classList.toggle('selected', opt.dataset.color === color));
+}
+
+function showBulkTagError(message) {
+    elements.bulkTagError.textContent = message;
+    elements.bulkTagError.classList.toggle('hidden', !message);
+}
+
+// Shows the detail fields for "add" and the color picker for "add" and "recolor".
+function updateBulkTagFields() {
+    const action = elements.bulkTagActionSelect.value;
+    elements.bulkTagAddFields.classList.toggle('hidden', action !== 'add');
+    elements.bulkTagColorField.classList.toggle('hidden', action === 'remove');
+    elements.bulkTagApplyBtn.textContent = { add: 'Add to Selected', remove: 'Remove from Selected', recolor: 'Change Color' }[action];
+}
+
+async function applyBulkTagAction() {
+    const action = elements.bulkTagActionSelect.value;
+    const name = elements.bulkTagNameInput.value.trim();
+    if (!name) { showBulkTagError('Enter a tag name.'); return; }
+    const selectedColorEl = elements.bulkTagModal.querySelector('.color-option.selected');
+    const color = selectedColorEl ? selectedColorEl.dataset.color : 'blue';
+    const roomIds = Array.from(state.selectedRoomIds);
+    const linkCheck = checkTagUrl(elements.bulkTagLinkInput.value); // Direct call to utils.js function
+    const imageCheck = checkTagUrl(elements.bulkTagImageInput.value, allowedTagImageSchemes); // Direct call to utils.js function
+    if (action === 'add' && (linkCheck.problem || imageCheck.problem)) {
+        showBulkTagError(linkCheck.problem ? `Link ${linkCheck.problem}.` : `Image URL ${imageCheck.problem}.`);
+        return;
+    }
+    let result;
+    // Direct calls to data.js functions
+    if (action === 'add') {
+        result = await bulkAddTag(roomIds, {
+            name, color,
+            type: elements.bulkTagTypeSelect.value,
+            description: elements.bulkTagDescriptionInput.value,
+            link: linkCheck.url,
+            contact: elements.bulkTagContactInput.value,
+            imageUrl: imageCheck.url
+        });
+    } else if (action === 'remove') {
+        result = await bulkRemoveTag(roomIds, name);
+    } else {
+        result = await bulkRecolorTag(roomIds, name, color);
+    }
+    hideBulkTagModal();
+    const messages = {
+        add: `Added "${name}" to ${result.changed} rooms${result.unchanged ? ` (${result.unchanged} already had it)` : ''}.`,
+        remove: `Removed "${name}" from ${result.changed} rooms${result.unchanged ? ` (${result.unchanged} did not have it)` : ''}.`,
+        recolor: `Changed "${name}" to ${color} in ${result.changed} rooms${result.unchanged ? ` (${result.unchanged} unchanged or without the tag)` : ''}.`
+    };
+    showBulkActionStatus(messages[action]);
+}
+
 function goToPage(pageNumber) {
     const totalItems = state.currentFilteredData.length;
     if (state.resultsPerPage === 0 && pageNumber !== 1) return;
@@ -190,7 +1431,12 @@ function setupEventListeners() {
         uploadInput.addEventListener('change', (e) => handleFiles(e.target.files)); // Direct call
     }
 
+    if (elements.reimportModeCheckbox) elements.reimportModeCheckbox.addEventListener('change', (e) => { state.reimportMode = e.target.checked; });
+    if (elements.loadingCancelBtn) elements.loadingCancelBtn.addEventListener('click', cancelImport); // Direct call to data.js function
+
     if (elements.exportTagsBtn) elements.exportTagsBtn.addEventListener('click', (e) => { e.stopPropagation(); exportCustomTags(); }); // Direct call
+    if (elements.exportTagsCsvBtn) elements.exportTagsCsvBtn.addEventListener('click', (e) => { e.stopPropagation(); exportTagsSpreadsheetFromUI('csv'); });
+    if (elements.exportTagsXlsxBtn) elements.exportTagsXlsxBtn.addEventListener('click', (e) => { e.stopPropagation(); exportTagsSpreadsheetFromUI('xlsx'); });
     if (elements.exportSessionBtn) elements.exportSessionBtn.addEventListener('click', (e) => { e.stopPropagation(); showMgisComplianceModal(); });
 
     if (elements.closeMgisModal) elements.closeMgisModal.addEventListener('click', hideMgisComplianceModal);
@@ -199,6 +1445,138 @@ function setupEventListeners() {
     if (elements.mgisCancelBtn) elements.mgisCancelBtn.addEventListener('click', hideMgisComplianceModal);
     if (elements.mgisExportConfirmBtn) elements.mgisExportConfirmBtn.addEventListener('click', () => { hideMgisComplianceModal(); exportSession(); }); // Direct call
 
+    if (elements.compareDatasetBtn && elements.compareUploadInput) {
+        elements.compareDatasetBtn.addEventListener('click', (e) => { e.stopPropagation(); elements.compareUploadInput.click(); });
+        elements.compareUploadInput.addEventListener('change', (e) => { if (e.target.files[0]) compareDatasetWithFile(e.target.files[0]); e.target.value = ''; }); // Direct call
+    }
+    if (elements.closeDiffReportModal) elements.closeDiffReportModal.addEventListener('click', hideDatasetDiffModal);
+    if (elements.diffReportCloseBtn) elements.diffReportCloseBtn.addEventListener('click', hideDatasetDiffModal);
+    if (elements.diffReportExportBtn) elements.diffReportExportBtn.addEventListener('click', exportDatasetDiffCsv); // Direct call
+    if (elements.diffReportModal) elements.diffReportModal.addEventListener('click', (e) => { if (e.target === elements.diffReportModal) hideDatasetDiffModal(); });
+    if (elements.manageAbbreviationsBtn) elements.manageAbbreviationsBtn.addEventListener('click', showAbbreviationModal);
+    if (elements.closeAbbreviationModal) elements.closeAbbreviationModal.addEventListener('click', hideAbbreviationModal);
+    if (elements.abbreviationCloseBtn) elements.abbreviationCloseBtn.addEventListener('click', hideAbbreviationModal);
+    if (elements.abbreviationModal) elements.abbreviationModal.addEventListener('click', (e) => { if (e.target === elements.abbreviationModal) hideAbbreviationModal(); });
+    if (elements.abbreviationShowMapped) elements.abbreviationShowMapped.addEventListener('change', renderAbbreviationList);
+    if (elements.abbreviationList) {
+        elements.abbreviationList.addEventListener('change', handleAbbreviationInputChange);
+        elements.abbreviationList.addEventListener('keydown', (e) => { if (e.key === 'Enter' && e.target.classList.contains('abbreviation-input')) e.target.blur(); });
+    }
+    if (elements.abbreviationExportBtn) elements.abbreviationExportBtn.addEventListener('click', exportAbbreviationMappings); // Direct call
+    if (elements.abbreviationImportBtn) elements.abbreviationImportBtn.addEventListener('click', () => elements.abbreviationImportInput.click());
+    if (elements.abbreviationImportInput) elements.abbreviationImportInput.addEventListener('change', async (e) => {
+        if (e.target.files.length > 0) {
+            const file = e.target.files[0];
+            const imported = await importAbbreviationMappings(file); // Direct call to data.js function
+            renderAbbreviationList();
+            showAbbreviationStatus(imported > 0 ? `Imported ${imported} abbreviation mapping(s) from '${file.name}'.` : '');
+        }
+        e.target.value = '';
+    });
+    if (elements.editTagRulesBtn) elements.editTagRulesBtn.addEventListener('click', showTagRulesModal);
+    if (elements.closeTagRulesModal) elements.closeTagRulesModal.addEventListener('click', hideTagRulesModal);
+    if (elements.tagRulesCancelBtn) elements.tagRulesCancelBtn.addEventListener('click', hideTagRulesModal);
+    if (elements.tagRulesSaveBtn) elements.tagRulesSaveBtn.addEventListener('click', saveTagRulesFromModal);
+    if (elements.tagRulesList) {
+        elements.tagRulesList.addEventListener('input', handleTagRulesInput);
+        elements.tagRulesList.addEventListener('change', handleTagRulesInput);
+        elements.tagRulesList.addEventListener('click', handleTagRulesClick);
+    }
+    if (elements.tagRulesAddBtn) elements.tagRulesAddBtn.addEventListener('click', () => {
+        tagRulesDraft.push({ pattern: '', flags: 'i', tag: '', target: 'both' });
+        renderTagRulesList();
+        const inputs = elements.tagRulesList.querySelectorAll('[data-field="pattern"]');
+        if (inputs.length > 0) inputs[inputs.length - 1].focus();
+    });
+    if (elements.tagRulesResetBtn) elements.tagRulesResetBtn.addEventListener('click', () => {
+        tagRulesDraft = defaultCategoryTagRules.map(rule => ({ ...rule }));
+        renderTagRulesList();
+    });
+    if (elements.tagRulesTestType) elements.tagRulesTestType.addEventListener('input', updateTagRulesTestResult);
+    if (elements.tagRulesTestDept) elements.tagRulesTestDept.addEventListener('input', updateTagRulesTestResult);
+    if (elements.peopleViewBtn) elements.peopleViewBtn.addEventListener('click', showPeopleModal);
+    if (elements.tagCatalogBtn) elements.tagCatalogBtn.addEventListener('click', showTagCatalogModal);
+    if (elements.closeTagCatalogModal) elements.closeTagCatalogModal.addEventListener('click', hideTagCatalogModal);
+    if (elements.tagCatalogModal) elements.tagCatalogModal.addEventListener('click', (e) => { if (e.target === elements.tagCatalogModal) hideTagCatalogModal(); });
+    if (elements.tagCatalogSearch) elements.tagCatalogSearch.addEventListener('input', debounce(renderTagCatalog, 200));
+    if (elements.tagCatalogList) elements.tagCatalogList.addEventListener('click', handleTagCatalogClick);
+    if (elements.tagCatalogList) elements.tagCatalogList.addEventListener('change', handleTagCatalogChange);
+    if (elements.tagCatalogMergeBtn) elements.tagCatalogMergeBtn.addEventListener('click', mergeSelectedCatalogTags);
+    if (elements.closePeopleModal) elements.closePeopleModal.addEventListener('click', hidePeopleModal);
+    if (elements.peopleModal) elements.peopleModal.addEventListener('click', (e) => { if (e.target === elements.peopleModal) hidePeopleModal(); });
+    if (elements.peopleSearchInput) elements.peopleSearchInput.addEventListener('input', debounce(renderPeopleList, 200));
+    if (elements.tagInfoContent) elements.tagInfoContent.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action="load-external-image"]');
+        if (button) loadExternalTagImage(button);
+    });
+    [elements.peopleList, elements.tagInfoContent].forEach(container => {
+        if (container) container.addEventListener('click', (e) => {
+            const link = e.target.closest('.people-room-link');
+            if (link) showRoomInResults(link.dataset.roomId);
+        });
+    });
+    if (elements.occupantResolverBtn) elements.occupantResolverBtn.addEventListener('click', showOccupantResolverModal);
+    if (elements.closeOccupantResolverModal) elements.closeOccupantResolverModal.addEventListener('click', hideOccupantResolverModal);
+    if (elements.occupantResolverCloseBtn) elements.occupantResolverCloseBtn.addEventListener('click', hideOccupantResolverModal);
+    if (elements.occupantResolverList) elements.occupantResolverList.addEventListener('click', handleOccupantResolverListClick);
+    if (elements.occupantResolverRooms) elements.occupantResolverRooms.addEventListener('click', handleOccupantResolverAssignClick);
+    if (elements.occupantResolverSearch) elements.occupantResolverSearch.addEventListener('input', debounce(renderOccupantResolverRooms, 200));
+    if (elements.restoreSessionBtn) elements.restoreSessionBtn.addEventListener('click', () => closeRestoreSessionModal(true));
+    if (elements.restoreSessionDiscardBtn) elements.restoreSessionDiscardBtn.addEventListener('click', () => closeRestoreSessionModal(false));
+    if (elements.undoBtn) elements.undoBtn.addEventListener('click', () => stepHistoryFromUI(false));
+    if (elements.redoBtn) elements.redoBtn.addEventListener('click', () => stepHistoryFromUI(true));
+    if (elements.historyBtn) elements.historyBtn.addEventListener('click', showHistoryModal);
+    if (elements.closeHistoryModal) elements.closeHistoryModal.addEventListener('click', hideHistoryModal);
+    if (elements.historyCloseBtn) elements.historyCloseBtn.addEventListener('click', hideHistoryModal);
+    if (elements.historyModal) elements.historyModal.addEventListener('click', (e) => { if (e.target === elements.historyModal) hideHistoryModal(); });
+    if (elements.historyList) elements.historyList.addEventListener('click', handleHistoryListClick);
+    document.addEventListener('keydown', handleHistoryKeydown);
+    if (elements.mergeSessionsCheckbox) elements.mergeSessionsCheckbox.addEventListener('change', (e) => { state.mergeSessions = e.target.checked; });
+    if (elements.mergeConflictKeepBtn) elements.mergeConflictKeepBtn.addEventListener('click', () => closeMergeConflictModal('current'));
+    if (elements.mergeConflictIncomingBtn) elements.mergeConflictIncomingBtn.addEventListener('click', () => closeMergeConflictModal('incoming'));
+    if (elements.mergeConflictBothBtn) elements.mergeConflictBothBtn.addEventListener('click', () => closeMergeConflictModal('both'));
+    if (elements.closeTagImportPreviewModal) elements.closeTagImportPreviewModal.addEventListener('click', () => closeTagImportPreviewModal(false));
+    if (elements.tagImportCancelBtn) elements.tagImportCancelBtn.addEventListener('click', () => closeTagImportPreviewModal(false));
+    if (elements.tagImportApplyBtn) elements.tagImportApplyBtn.addEventListener('click', () => closeTagImportPreviewModal(true));
+    if (elements.tagImportPreviewList) elements.tagImportPreviewList.addEventListener('change', handleTagImportPreviewChange);
+    if (elements.tagImportConflictAll) elements.tagImportConflictAll.addEventListener('change', setAllTagImportConflicts);
+    if (elements.closeMergeConflictModal) elements.closeMergeConflictModal.addEventListener('click', () => closeMergeConflictModal(null));
+    if (elements.encryptExportsCheckbox) elements.encryptExportsCheckbox.addEventListener('change', (e) => { state.encryptExports = e.target.checked; });
+    if (elements.includeExpiredTagsCheckbox) elements.includeExpiredTagsCheckbox.addEventListener('change', async (e) => {
+        state.includeExpiredTags = e.target.checked;
+        state.currentPage = 1;
+        await createSearchIndex(); // Direct call to data.js function
+        updateResults(); // Direct call to ui.js function
+    });
+    if (elements.tagTypeSelect) elements.tagTypeSelect.addEventListener('change', () => renderTagTypeFields());
+    if (elements.tagReviewedTodayBtn) elements.tagReviewedTodayBtn.addEventListener('click', () => { elements.tagReviewedInput.value = getLocalDateString(); });
+    if (elements.passphraseApplyBtn) elements.passphraseApplyBtn.addEventListener('click', () => closePassphraseModal(true));
+    if (elements.passphraseCancelBtn) elements.passphraseCancelBtn.addEventListener('click', () => closePassphraseModal(false));
+    if (elements.closePassphraseModal) elements.closePassphraseModal.addEventListener('click', () => closePassphraseModal(false));
+    [elements.passphraseInput, elements.passphraseConfirmInput].forEach(input => {
+        if (input) input.addEventListener('keydown', (e) => { if (e.key === 'Enter') closePassphraseModal(true); });
+    });
+    if (elements.persistenceCheckbox) elements.persistenceCheckbox.addEventListener('change', (e) => setPersistenceEnabled(e.target.checked)); // Direct call to data.js function
+    if (elements.clearLocalDataBtn) elements.clearLocalDataBtn.addEventListener('click', () => {
+        if (confirm('Remove the autosaved session and all saved settings (column mappings, abbreviation mappings, tag rules and occupant assignments) from this browser?')) clearLocalData(); // Direct call to data.js function
+    });
+    if (elements.importReportBtn) elements.importReportBtn.addEventListener('click', showImportReportModal);
+    if (elements.importReportContent) elements.importReportContent.addEventListener('click', handleImportReportClick);
+    if (elements.closeImportReportModal) elements.closeImportReportModal.addEventListener('click', hideImportReportModal);
+    if (elements.importReportCloseBtn) elements.importReportCloseBtn.addEventListener('click', hideImportReportModal);
+    if (elements.importReportExportBtn) elements.importReportExportBtn.addEventListener('click', exportRejectedRowsCsv); // Direct call
+    if (elements.importReportModal) elements.importReportModal.addEventListener('click', (e) => { if (e.target === elements.importReportModal) hideImportReportModal(); });
+
+    if (elements.closeColumnMappingModal) elements.closeColumnMappingModal.addEventListener('click', () => closeColumnMappingModal(false));
+    if (elements.columnMappingCancelBtn) elements.columnMappingCancelBtn.addEventListener('click', () => closeColumnMappingModal(false));
+    if (elements.columnMappingApplyBtn) elements.columnMappingApplyBtn.addEventListener('click', () => closeColumnMappingModal(true));
+    if (elements.closeSheetSelectionModal) elements.closeSheetSelectionModal.addEventListener('click', () => closeSheetSelectionModal(false));
+    if (elements.sheetSelectionCancelBtn) elements.sheetSelectionCancelBtn.addEventListener('click', () => closeSheetSelectionModal(false));
+    if (elements.sheetSelectionApplyBtn) elements.sheetSelectionApplyBtn.addEventListener('click', () => closeSheetSelectionModal(true));
+    if (elements.closeFileClassificationModal) elements.closeFileClassificationModal.addEventListener('click', () => closeFileClassificationModal(false));
+    if (elements.fileClassificationCancelBtn) elements.fileClassificationCancelBtn.addEventListener('click', () => closeFileClassificationModal(false));
+    if (elements.fileClassificationApplyBtn) elements.fileClassificationApplyBtn.addEventListener('click', () => closeFileClassificationModal(true));
+
     const debouncedSearch = debounce(() => { state.currentPage = 1; updateResults(); }, 350); // Direct call
 
     if (elements.searchInput) {
@@ -279,10 +1657,14 @@ function setupEventListeners() {
     if (elements.closeModalBtn) elements.closeModalBtn.addEventListener('click', closeTagModal);
     if (elements.addRichTagBtn) elements.addRichTagBtn.addEventListener('click', addRichTagFromModal);
     if (elements.saveTagsBtn) elements.saveTagsBtn.addEventListener('click', saveCustomTagsFromModal);
+    if (elements.cancelTagEditBtn) elements.cancelTagEditBtn.addEventListener('click', cancelTagEdit);
     if (elements.customTagModal) elements.customTagModal.addEventListener('click', (e) => { if (e.target === elements.customTagModal) closeTagModal(); });
     if (elements.customTagsListModal) elements.customTagsListModal.addEventListener('click', (e) => {
+        if (!currentRoomIdForModal) return;
+        const editBtn = e.target.closest('[data-action="edit-custom-tag"]');
+        if (editBtn) { editCustomTagInModal(editBtn.dataset.tagId); return; }
         const btn = e.target.closest('[data-action="remove-custom-tag"]');
-        if (btn && currentRoomIdForModal) { state.customTags[currentRoomIdForModal] = (state.customTags[currentRoomIdForModal] || []).filter(t => t.id.toString() !== btn.dataset.tagId); updateCustomTagsModalDisplay(); }
+        if (btn) removeCustomTagFromModal(btn.dataset.tagId);
     });
     if (elements.tagNameInput) elements.tagNameInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') { e.preventDefault(); addRichTagFromModal(); }});
 
@@ -292,24 +1674,41 @@ function setupEventListeners() {
     }
     if (elements.resultsBody) elements.resultsBody.addEventListener('click', delegateAddTag);
     if (elements.mobileResults) elements.mobileResults.addEventListener('click', delegateAddTag);
+    if (elements.resultsBody) elements.resultsBody.addEventListener('change', handleRoomSelectionChange);
+    if (elements.mobileResults) elements.mobileResults.addEventListener('change', handleRoomSelectionChange);
+    if (elements.selectPageCheckbox) elements.selectPageCheckbox.addEventListener('change', handleSelectPageChange);
+    if (elements.selectAllMatchingBtn) elements.selectAllMatchingBtn.addEventListener('click', selectAllMatchingRooms);
+    if (elements.clearSelectionBtn) elements.clearSelectionBtn.addEventListener('click', clearRoomSelection);
+    if (elements.bulkTagBtn) elements.bulkTagBtn.addEventListener('click', showBulkTagModal);
+    if (elements.closeBulkTagModal) elements.closeBulkTagModal.addEventListener('click', hideBulkTagModal);
+    if (elements.bulkTagCancelBtn) elements.bulkTagCancelBtn.addEventListener('click', hideBulkTagModal);
+    if (elements.bulkTagApplyBtn) elements.bulkTagApplyBtn.addEventListener('click', applyBulkTagAction);
+    if (elements.bulkTagActionSelect) elements.bulkTagActionSelect.addEventListener('change', updateBulkTagFields);
+    if (elements.bulkTagModal) elements.bulkTagModal.addEventListener('click', (e) => {
+        if (e.target === elements.bulkTagModal) hideBulkTagModal();
+        else if (e.target.classList.contains('color-option')) selectBulkTagColor(e.target.dataset.color);
+    });
 
     const colorPicker = document.querySelector('#custom-tag-modal .color-picker');
     if (colorPicker) colorPicker.addEventListener('click', (e) => {
         if (e.target.classList.contains('color-option')) { colorPicker.querySelectorAll('.color-option').forEach(opt => opt.classList.remove('selected')); e.target.classList.add('selected'); }
     });
-    if (elements.tagImageInput && elements.imagePreview && elements.imagePreviewContainer) {
-        elements.tagImageInput.addEventListener('input', (e) => {
-            const url = e.target.value.trim();
-            if (url) { elements.imagePreview.src = url; elements.imagePreview.onload = () => elements.imagePreviewContainer.classList.remove('hidden'); elements.imagePreview.onerror = () => elements.imagePreviewContainer.classList.add('hidden'); }
-            else elements.imagePreviewContainer.classList.add('hidden');
-        });
+    if (elements.tagImageInput) elements.tagImageInput.addEventListener('input', showTagImagePreview);
+    if (elements.tagPhotoChooseBtn) elements.tagPhotoChooseBtn.addEventListener('click', () => elements.tagPhotoInput.click());
+    if (elements.tagPhotoInput) elements.tagPhotoInput.addEventListener('change', async (e) => { await handleTagPhotoFiles(e.target.files); e.target.value = ''; });
+    if (elements.removeTagPhotoBtn) elements.removeTagPhotoBtn.addEventListener('click', removeTagPhotoFromForm);
+    const photoDropzone = elements.tagPhotoDropzone;
+    if (photoDropzone) {
+        photoDropzone.addEventListener('dragover', (e) => { e.preventDefault(); photoDropzone.classList.add('border-um-blue'); });
+        photoDropzone.addEventListener('dragleave', () => photoDropzone.classList.remove('border-um-blue'));
+        photoDropzone.addEventListener('drop', (e) => { e.preventDefault(); photoDropzone.classList.remove('border-um-blue'); handleTagPhotoFiles(e.dataTransfer.files); });
     }
 }
 
 document.addEventListener('DOMContentLoaded', () => {
     const elementIds = [ /* ... all element IDs as before ... */
       'upload-header', 'upload-content-section', 'chevron-icon', 'universal-upload-area', 'universal-upload-input',
-      'upload-content-normal', 'upload-content-empty',
+      'upload-content-normal', 'upload-content-empty', 'reimport-mode-checkbox',
       'processing-indicator', 'uploaded-files-list', 'data-summary', 'summary-content', 'errors-container', 'errors-list',
       'search-form', 'search-input', 'search-input-mobile', 'autocomplete-container',
       'building-filter', 'building-filter-mobile', 'floor-filter', 'floor-filter-mobile',
@@ -317,15 +1716,47 @@ document.addEventListener('DOMContentLoaded', () => {
       'active-tags-container', 'clear-tags-btn',
       'results-table', 'results-body',
       'mobile-results', 'empty-state', 'results-footer', 'results-count',
-      'export-tags-btn', 'export-session-btn',
+      'export-tags-btn', 'export-tags-csv-btn', 'export-tags-xlsx-btn', 'export-session-btn', 'compare-dataset-btn', 'compare-upload-input',
+      'diff-report-modal', 'close-diff-report-modal', 'diff-report-summary', 'diff-report-content', 'diff-report-close-btn', 'diff-report-export-btn',
+      'manage-abbreviations-btn', 'abbreviation-modal', 'close-abbreviation-modal', 'abbreviation-show-mapped', 'abbreviation-status', 'abbreviation-list',
+      'abbreviation-import-btn', 'abbreviation-import-input', 'abbreviation-export-btn', 'abbreviation-close-btn',
+      'edit-tag-rules-btn', 'tag-rules-modal', 'close-tag-rules-modal', 'tag-rules-list', 'tag-rules-add-btn', 'tag-rules-test-type',
+      'tag-rules-test-dept', 'tag-rules-test-result', 'tag-rules-error', 'tag-rules-reset-btn', 'tag-rules-cancel-btn', 'tag-rules-save-btn',
+      'tag-catalog-btn', 'tag-catalog-modal', 'close-tag-catalog-modal', 'tag-catalog-search', 'tag-catalog-count', 'tag-catalog-status', 'tag-catalog-merge-btn',
+      'tag-catalog-list', 'custom-tag-suggestions',
+      'people-view-btn', 'people-modal', 'close-people-modal', 'people-search-input', 'people-count', 'people-list',
+      'occupant-resolver-btn', 'occupant-resolver-modal', 'close-occupant-resolver-modal', 'occupant-resolver-list', 'occupant-resolver-search',
+      'occupant-resolver-rooms', 'occupant-resolver-close-btn',
+      'persistence-checkbox', 'persistence-status', 'clear-local-data-btn', 'restore-session-modal', 'restore-session-summary',
+      'restore-session-btn', 'restore-session-discard-btn',
+      'select-page-checkbox', 'bulk-selection-bar', 'bulk-selection-count', 'select-all-matching-btn', 'clear-selection-btn', 'bulk-action-status', 'bulk-tag-btn',
+      'bulk-tag-modal', 'close-bulk-tag-modal', 'bulk-tag-summary', 'bulk-tag-action-select', 'bulk-tag-name-input', 'bulk-tag-add-fields',
+      'bulk-tag-type-select', 'bulk-tag-description-input', 'bulk-tag-link-input', 'bulk-tag-contact-input', 'bulk-tag-image-input',
+      'bulk-tag-color-field', 'bulk-tag-error', 'bulk-tag-cancel-btn', 'bulk-tag-apply-btn',
+      'undo-btn', 'redo-btn', 'history-btn', 'history-modal', 'close-history-modal', 'history-list', 'history-close-btn',
+      'merge-sessions-checkbox', 'merge-conflict-modal', 'close-merge-conflict-modal', 'merge-conflict-summary', 'merge-conflict-content',
+      'merge-conflict-apply-remaining', 'merge-conflict-apply-remaining-label', 'merge-conflict-keep-btn', 'merge-conflict-both-btn', 'merge-conflict-incoming-btn',
+      'tag-import-preview-modal', 'close-tag-import-preview-modal', 'tag-import-preview-summary', 'tag-import-conflict-all', 'tag-import-preview-list',
+      'tag-import-cancel-btn', 'tag-import-apply-btn',
+      'encrypt-exports-checkbox', 'include-expired-tags-checkbox', 'passphrase-modal', 'close-passphrase-modal', 'passphrase-title', 'passphrase-message', 'passphrase-input',
+      'passphrase-confirm-input', 'passphrase-error', 'passphrase-cancel-btn', 'passphrase-apply-btn',
+      'import-report-btn', 'import-report-modal', 'close-import-report-modal', 'import-report-summary', 'import-report-content', 'import-report-close-btn', 'import-report-export-btn',
       'mgis-compliance-modal', 'close-mgis-modal', 'mgis-compliance-checkbox', 'mgis-cancel-btn', 'mgis-export-confirm-btn',
       'security-reminder-modal', 'close-security-modal', 'security-ok-btn', 'dont-show-security-again',
       'welcome-modal', 'close-welcome-btn', 'welcome-ok-btn', 'dont-show-again',
       'tag-info-modal', 'close-tag-info-btn', 'tag-info-title', 'tag-info-content',
-      'custom-tag-modal', 'close-modal-btn', 'modal-room-info', 'tag-name-input', 'tag-type-select',
-      'tag-description-input', 'tag-link-input', 'tag-contact-input', 'tag-image-input', 'image-preview-container', 'image-preview',
-      'add-rich-tag-btn', 'custom-tags-list-modal', 'save-tags-btn',
-      'loading-overlay', 'row-template', 'mobile-card-template', 'tag-span-template', 'autocomplete-item-template',
+      'custom-tag-modal', 'close-modal-btn', 'modal-room-info', 'tag-name-input', 'tag-type-select', 'tag-type-fields',
+      'tag-description-input', 'tag-link-input', 'tag-contact-input', 'tag-author-input', 'tag-reviewed-input', 'tag-reviewed-today-btn', 'tag-expires-input',
+      'tag-image-input', 'image-preview-container', 'image-preview',
+      'tag-photo-dropzone', 'tag-photo-choose-btn', 'tag-photo-input', 'tag-photo-usage', 'remove-tag-photo-btn',
+      'add-rich-tag-btn', 'custom-tags-list-modal', 'save-tags-btn', 'tag-form-title', 'cancel-tag-edit-btn',
+      'column-mapping-modal', 'close-column-mapping-modal', 'column-mapping-file', 'column-mapping-fields', 'column-mapping-remember',
+      'column-mapping-cancel-btn', 'column-mapping-apply-btn',
+      'sheet-selection-modal', 'close-sheet-selection-modal', 'sheet-selection-file', 'sheet-selection-list',
+      'sheet-selection-cancel-btn', 'sheet-selection-apply-btn',
+      'file-classification-modal', 'close-file-classification-modal', 'file-classification-list',
+      'file-classification-cancel-btn', 'file-classification-apply-btn',
+      'loading-overlay', 'loading-progress', 'loading-progress-bar', 'loading-cancel-btn', 'row-template', 'mobile-card-template', 'tag-span-template', 'autocomplete-item-template',
       'active-tag-template', 'custom-tag-item-template',
       'pagination-controls', 'prev-page-btn', 'page-info', 'next-page-btn',
       'view-selection-modal', 'select-desktop-view-btn', 'select-mobile-view-btn',
@@ -341,6 +1772,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
     console.log('🏥 Hospital Room Directory - UMich Version Initialized (Modular Fixed).');
     if (localStorage.getItem('hideWelcomeModal') === 'true') state.hideWelcomeModal = true;
+    loadAbbreviationMappings(); // Direct call to data.js function
+    loadCategoryTagRules();     // Direct call to data.js function
+    loadPersistenceSetting();   // Direct call to data.js function
     if (elements.resultsPerPage) elements.resultsPerPage.value = state.resultsPerPage.toString();
     if (elements.resultsPerPageMobile) elements.resultsPerPageMobile.value = state.resultsPerPage.toString();
 
@@ -350,4 +1784,6 @@ document.addEventListener('DOMContentLoaded', () => {
     updatePaginationControls(0); // Direct call to ui.js function
     updateDataSummary();        // Direct call to ui.js function
     updateUploadAreaState();    // Direct call to ui.js function
+    updatePersistenceStatus();  // Direct call to ui.js function
+    offerWorkspaceRestore();
 });
\ No newline at end of file
@@ -7,4 +7,80 @@ const UM_TEXT_ON_MAIZE = '#00274C'; // Text color for maize backgrounds
 // --- ABBREVIATIONS & TAG RULES ---
 const abbreviationMap = { "JanClos": "Janitorial Closet", "CleanRm": "Clean Room", "MaintRm": "Maintenance Room", "ExamRm": "Examination Room", "ProcedRm": "Procedure Room", "TrainingRm": "Training Room", "TestRm": "Testing Room", "AnteRm": "Anteroom", "ScrubRm": "Scrub Room", "CallRm": "Call Room", "TubRm": "Tub Room", "ControlRm": "Control Room", "CopyRm": "Copy Room", "StaffRm": "Staff Room", "RecovryRm": "Recovery Room", "StaffLkrRm": "Staff Locker Room", "StrlzerRm": "Sterilizer Room", "StaffShowr": "Staff Shower", "FileRm": "File Room", "ObsrvtnRm": "Observation Room", "PatDress": "Patient Dressing Room", "PatPrep": "Patient Preparation Room", "LockerRm": "Locker Room", "TeamngArea": "Teaming Area", "PatnLounge": "Patient Lounge", "DptLounge": "Department Lounge", "ParntSleep": "Parent Sleep Area", "ParntShwr": "Parent Shower", "NurishmtRm": "Nourishment Room", "PatnKitchn": "Patient Kitchen", "RecepArea": "Reception Area", "OpenWkSta": "Open Workstation", "FlxOpnWkSt": "Flexible Open Workstation", "FlexCubicl": "Flexible Cubicle", "FlexOffice": "Flexible Office", "CompSuppt": "Computer Support", "ReceptWtg": "Reception Waiting", "ReceptClrk": "Reception Clerk", "LobbyVest": "Lobby Vestibule", "MedSupply": "Medical Supply", "PharSupply": "Pharmacy Supply", "SterileStg": "Sterile Storage", "MedGasStrg": "Medical Gas Storage", "VndgWOStg": "Vending with Storage", "SoiledLin": "Soiled Linen", "ClnLin": "Clean Linen", "StrlSoiled": "Sterile Soiled", "StrlStrg": "Sterile Storage", "SupplyRm": "Supply Room", "StorageRm": "Storage Room", "StockRm": "Stock Room", "DptStorage": "Department Storage", "EqmtStrgRm": "Equipment Storage Room", "SuplStgRm": "Supply Storage Room", "ImEquipSup": "Imaging Equipment Supply", "StrlInsSup": "Sterile Instrument Supply", "SrgySupEqm": "Surgery Supply Equipment", "ClnLnMdSup": "Clean Linen Medical Supply", "ClnLin/MdS": "Clean Linen/Medical Supply", "SoiLinSupl": "Soiled Linen Supply", "CServSupp": "Central Service Support", "CentralSup": "Central Supply", "DiagLabSup": "Diagnostic Lab Supply", "DiagTrtmt": "Diagnostic Treatment", "TherTrtmt": "Therapy Treatment", "SurgerySvc": "Surgery Service", "HazardMat": "Hazardous Materials", "AssignCir": "Assigned Circulation", "AssignCirc": "Assigned Circulation", "ExtendStay": "Extended Stay", "InPatnt": "Inpatient", "OutPtToilt": "Outpatient Toilet", "PreOpPtPre": "Pre-Op Patient Prep", "FoodFacSvc": "Food Facility Service", "FoodStPrep": "Food Service Preparation", "Circulat'n": "Circulation", "PublicWait": "Public Waiting", "PubCorr": "Public Corridor", "AsgnToilet": "Assigned Toilet", "StffToilet": "Staff Toilet", "OutPtClsRm": "Outpatient Closet Room", "PubRestRm": "Public Restroom", "AlGnHandic": "All Gender Handicap", "AlGnRestRm": "All Gender Restroom", "Men-Handic": "Men's Handicap", "Wmn-Handic": "Women's Handicap", "DptBreak": "Department Break Room", "DptKitchen": "Department Kitchen", "DptMail": "Department Mail", "Treat/Exam": "Treatment/Examination", "Tr/ExamSvc": "Treatment/Examination Service", "ExamSvc": "Examination Service", "PatienBdrm": "Patient Bedroom", "PatientBth": "Patient Bathroom", "InPatnBth": "In Patient Bathroom", "PatBedSvc": "Patient Bed Service", "NurseStnSr": "Nurse Station Service", "Nurse Stat": "Nurse's Station", "StaffOnCal": "Staff On Call", "StfOnCallS": "Staff On Call Service", "AssemblySv": "Assembly Service", "MerchSvc": "Merchandise Service", "merchandsg": "Merchandising", "MedProdSvc": "Medical Product Service", "RadCT": "Radiology CT", "RadIR": "Radiology Interventional", "RadMRI": "Radiology MRI", "RadNucMed": "Radiology Nuclear Medicine", "RadUltrasd": "Radiology Ultrasound", "RadXRay": "Radiology X-Ray", "DiagSrvLab": "Diagnostic Service Laboratory", "IsotopeRm": "Isotope Room", "FilmPrView": "Film Preview", "BldDrawSta": "Blood Draw Station", "ProsthShop": "Prosthetics Shop", "PhotogSvc": "Photography Service", "ChartFFRm": "Charting/Forms/Files Room", "Decontamin": "Decontamination", "PrepStgRm": "Preparation Staging Room", "ConsultRm": "Consultation Room", "PsychPtIso": "Psychiatric Patient Isolation", "InPatnICU": "Inpatient ICU", "InPatnIso": "Inpatient Isolation", "InPatnPsyc": "Inpatient Psychiatric", "LbrDeliIso": "Labor Delivery Isolation", "LbrDeliv": "Labor Delivery", "NeoICU": "Neonatal ICU", "NeoICUIso": "Neonatal ICU Isolation", "PedInPtPsy": "Pediatric Inpatient Psychiatric", "PedsICU": "Pediatric ICU", "AcThTrtRm": "Acute Therapy Treatment Room", "InPatClsRm": "Inpatient Classroom", "ActPlayRm": "Activity/Play Room", "PatFamAmen": "Patient Family Amenities", "HseOfcrOnC": "House Officer On Call", "MedStuOnC": "Medical Student On Call", "On-CallRm": "On-Call Room", "OnCallClst": "On Call Closet", "OnCallLnge": "On Call Lounge", "OnCllBthrm": "On Call Bathroom", "Ctrl/Obsrv": "Control/Observation", "HVAC": "Heating, Ventilation, and Air Conditioning", "ElectEquip": "Electrical Equipment", "MechEquip": "Mechanical Equipment", "VertShaft": "Vertical Shaft", "Comm": "Communications", "Off.": "Office", "Off": "Office", "Mech.": "Mechanical", "Mech": "Mechanical", "Admin.": "Administration", "Admin": "Administration", "Lab.": "Laboratory", "Lab": "Laboratory", "Stor.": "Storage", "Stor": "Storage", "WC": "Bathroom", "Restroom": "Bathroom", "Corr.": "Corridor", "Corr": "Corridor" };
 const fullReplacements = { "Circulation Public Corridor": "Corridor", "Circulation Lobby Vestibule": "Lobby", "Circulation Stair": "Stairwell", "Circulation Elevator": "Elevator", "Circulation Dock": "Loading Dock", "Public Toilet Uni-Sex": "Unisex Public Bathroom", "Public Toilet Men": "Men's Public Bathroom", "Public Toilet Women": "Women's Public Bathroom", "OutPtToilt": "Public Bathroom", "Mechanical Electrical Equipment": "Electrical Room", "Mechanical Mechanical Equipment": "Mechanical Room", "Mechanical HVAC": "HVAC Room", "Mechanical Vertical Shaft": "Vertical Shaft", "Mechanical Communications": "Communications Room", "HazardMat HazardMat": "Hazardous Materials Storage", "Conference Conference": "Conference Room", "Office Office": "Office", "Surgery Operating": "Operating Room" };
-const tagRules = [ { pattern: /patient|bed|family/i, tag: "patient-care" }, { pattern: /office|admin|conference|meeting|lounge/i, tag: "administration" }, { pattern: /exam|treatment|therapy|medical|nurse|clinic|surgery|operating/i, tag: "clinical" }, { pattern: /toilet|bathroom|shower|restroom|wc/i, tag: "restroom" }, { pattern: /outpatient toilet|public toilet|pub.*restroom/i, tag: "public-restroom" }, { pattern: /storage|supply|equipment|closet/i, tag: "storage" }, { pattern: /mechanical|electrical|maintenance|hvac|communications/i, tag: "infrastructure" }, { pattern: /corridor|stair|elevator|lobby|circulation/i, tag: "circulation" }, { pattern: /kitchen|food|dining/i, tag: "food-service" }, { pattern: /laboratory|diagnostic|radiology|imaging/i, tag: "diagnostic" } ];
\ No newline at end of file
+// Built-in category rules. The tag rules editor works on state.categoryTagRules, which starts as a copy of these.
+const tagRules = [ { pattern: /patient|bed|family/i, tag: "patient-care" }, { pattern: /office|admin|conference|meeting|lounge/i, tag: "administration" }, { pattern: /exam|treatment|therapy|medical|nurse|clinic|surgery|operating/i, tag: "clinical" }, { pattern: /toilet|bathroom|shower|restroom|wc/i, tag: "restroom" }, { pattern: /outpatient toilet|public toilet|pub.*restroom/i, tag: "public-restroom" }, { pattern: /storage|supply|equipment|closet/i, tag: "storage" }, { pattern: /mechanical|electrical|maintenance|hvac|communications/i, tag: "infrastructure" }, { pattern: /corridor|stair|elevator|lobby|circulation/i, tag: "circulation" }, { pattern: /kitchen|food|dining/i, tag: "food-service" }, { pattern: /laboratory|diagnostic|radiology|imaging/i, tag: "diagnostic" } ];
+const customTagColors = ['blue', 'maize', 'gray', 'lightblue', 'green', 'red', 'orange', 'purple']; // Each has a .tag-<color> class in style.css
+const customTagTypes = ['simple', 'info', 'security', 'equipment', 'contact', 'note']; // Same values as the tag type selects in index.html
+// Extra fields stored in tag.fields for some tag types. searchPrefix makes a field searchable as "<prefix>:<value>";
+// pattern (with patternHint as the error text) validates values entered in the custom tag modal.
+const tagTypeFieldSchemas = {
+  equipment: { title: 'Equipment Details', fields: [
+    { key: 'assetId', label: 'Asset ID', searchPrefix: 'asset' },
+    { key: 'serial', label: 'Serial Number', searchPrefix: 'serial' },
+    { key: 'manufacturer', label: 'Manufacturer', searchPrefix: 'manufacturer' },
+    { key: 'lastService', label: 'Last Service', inputType: 'date', searchPrefix: 'serviced' }
+  ] },
+  contact: { title: 'Contact Details', fields: [
+    { key: 'phone', label: 'Phone', inputType: 'tel', searchPrefix: 'phone', pattern: /^(?=(?:\D*\d){4,15}\D*$)\+?[\d\s().\-]+(\s*(x|ext\.?)\s*\d+)?$/i, patternHint: 'digits, spaces, dashes and parentheses, e.g. 734-936-4000 or 6-4000' },
+    { key: 'email', label: 'Email', inputType: 'email', searchPrefix: 'email', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, patternHint: 'an address like name@umich.edu' },
+    { key: 'pager', label: 'Pager', inputType: 'tel', searchPrefix: 'pager', pattern: /^\d[\d\-]{2,11}$/, patternHint: '3 to 12 digits, dashes allowed' }
+  ] },
+  security: { title: 'Security Details', fields: [
+    { key: 'accessLevel', label: 'Access Level', searchPrefix: 'access', options: ['Public', 'Staff Only', 'Restricted', 'High Security'] },
+    { key: 'badgeGroup', label: 'Badge Group', searchPrefix: 'badge' }
+  ] }
+};
+// Photos attached to tags are downscaled to fit tagImageMaxDimension pixels and kept as JPEG data URLs in state.tagImages.
+// Rooms have no photos of their own; a room photo is a photo on one of the room's tags.
+// Sessions and the local autosave carry every photo, so the total per workspace is capped.
+const tagImageMaxDimension = 1280;
+const tagImageQuality = 0.8;
+const tagImageBudgetBytes = 15 * 1024 * 1024;
+const tagImageWarningRatio = 0.8; // Warn once photos use this share of the budget
+// URL policy for tag content from any source. Links may only use allowedTagLinkSchemes and image URLs only
+// allowedTagImageSchemes. Images hosted outside trustedTagImageHosts (or their subdomains) are flagged as external
+// and only load when asked, since a remote image can report who viewed it.
+const allowedTagLinkSchemes = ['http:', 'https:', 'mailto:', 'tel:'];
+const allowedTagImageSchemes = ['http:', 'https:'];
+const trustedTagImageHosts = ['umich.edu'];
+const tagReviewIntervalDays = 180; // Tags not reviewed (or, if never reviewed, edited) for this long match needs:review
+const defaultCategoryTagRules = tagRules.map(rule => ({ pattern: rule.pattern.source, flags: rule.pattern.flags, tag: rule.tag, target: 'both' })); // target: 'both' | 'type' | 'department'
+// --- IMPORT COLUMN DEFINITIONS ---
+// Canonical fields expected by processRoomData/processOccupantData. Aliases are matched case- and punctuation-insensitively.
+const roomFieldDefinitions = [
+  { key: 'rmnbr', label: 'Room Number', required: true, aliases: ['Room #', 'Room No', 'Room Number', 'Room Nbr', 'Rm', 'Rm #', 'Rm Nbr', 'Room Num'] },
+  { key: 'floor', label: 'Floor', required: true, aliases: ['Level', 'Flr', 'Floor #', 'Floor Number', 'Floor Level'] },
+  { key: 'bld_descrshort', label: 'Building', required: false, aliases: ['Building', 'Bldg', 'Bld', 'Building Name', 'Bldg Name', 'Facility'] },
+  { key: 'rmtyp_descrshort', label: 'Room Type', required: false, aliases: ['Room Type', 'Type', 'Rm Type', 'Space Type'] },
+  { key: 'rmsubtyp_descrshort', label: 'Room Subtype', required: false, aliases: ['Room Subtype', 'Subtype', 'Sub Type', 'Rm Subtype', 'Space Subtype'] },
+  { key: 'dept_descr', label: 'Department', required: false, aliases: ['Department', 'Dept', 'Dept Name', 'Department Name'] },
+  { key: 'rmrecnbr', label: 'Room Record #', required: false, aliases: ['Room Record', 'Room Record Number', 'Rm Rec Nbr', 'Record Number', 'Room ID'] }
+];
+// Occupants are placed by rmrecnbr, falling back to building + room number, so none of those is required on its own.
+const occupantFieldDefinitions = [
+  { key: 'rmrecnbr', label: 'Room Record #', required: false, aliases: ['Room Record', 'Room Record Number', 'Rm Rec Nbr', 'Record Number', 'Room ID'] },
+  { key: 'bld_descrshort', label: 'Building', required: false, aliases: ['Building', 'Bldg', 'Bld', 'Building Name', 'Bldg Name', 'Facility'] },
+  { key: 'rmnbr', label: 'Room Number', required: false, aliases: ['Room #', 'Room No', 'Room Number', 'Room Nbr', 'Rm', 'Rm #', 'Rm Nbr', 'Room Num'] },
+  { key: 'person_name', label: 'Person Name', required: true, aliases: ['Name', 'Person', 'Occupant', 'Full Name', 'Employee Name', 'Staff Name'] },
+  { key: 'title', label: 'Title', required: false, aliases: ['Job Title', 'Position', 'Person Title', 'Job Description'] },
+  { key: 'email', label: 'Email', required: false, aliases: ['E-mail', 'Email Address', 'Person Email', 'Mail'] },
+  { key: 'phone', label: 'Phone', required: false, aliases: ['Phone Number', 'Telephone', 'Tel', 'Work Phone', 'Person Phone', 'Extension'] },
+  { key: 'department', label: 'Department', required: false, aliases: ['Dept', 'Dept Name', 'Department Name', 'Dept Descr', 'Home Department'] },
+  { key: 'uniqname', label: 'Uniqname', required: false, aliases: ['Uniq Name', 'Username', 'User ID', 'Login', 'Person Uniqname'] }
+];
+// One row per room-tag pair. Rows are placed with the same rules as JSON tag files: rmrecnbr, then building + room number.
+const tagFieldDefinitions = [
+  { key: 'building', label: 'Building', required: false, aliases: ['bld_descrshort', 'Bldg', 'Bld', 'Building Name', 'Bldg Name', 'Facility'] },
+  { key: 'rmnbr', label: 'Room Number', required: false, aliases: ['Room #', 'Room No', 'Room Number', 'Room Nbr', 'Rm', 'Rm #', 'Rm Nbr', 'Room Num'] },
+  { key: 'rmrecnbr', label: 'Room Record #', required: false, aliases: ['Room Record', 'Room Record Number', 'Rm Rec Nbr', 'Record Number', 'Room ID'] },
+  { key: 'tag_name', label: 'Tag Name', required: true, aliases: ['Tag', 'Custom Tag', 'Tag Label'] },
+  { key: 'tag_type', label: 'Tag Type', required: false, aliases: ['Type'] },
+  { key: 'tag_color', label: 'Tag Color', required: false, aliases: ['Color', 'Colour', 'Tag Colour'] },
+  { key: 'tag_description', label: 'Description', required: false, aliases: ['Description', 'Details', 'Notes'] },
+  { key: 'tag_link', label: 'Link', required: false, aliases: ['Link', 'URL', 'Website'] },
+  { key: 'tag_contact', label: 'Contact', required: false, aliases: ['Contact', 'Contact Info', 'Owner'] },
+  { key: 'tag_fields', label: 'Type Fields', required: false, aliases: ['Fields', 'Type Details'] }, // e.g. "asset: 12345; serial: AB-1"
+  { key: 'tag_author', label: 'Author', required: false, aliases: ['Author', 'Added By', 'Created By'] },
+  { key: 'tag_reviewed', label: 'Last Reviewed', required: false, aliases: ['Reviewed', 'Last Reviewed', 'Review Date'] },
+  { key: 'tag_expires', label: 'Expires On', required: false, aliases: ['Expires', 'Expiration', 'Expiration Date', 'Expires On'] }
+];
\ No newline at end of file
@@ -14,347 +14,2501 @@ function normalizeAbbreviation(abbr, unmapped) {
     return abbr;
 }
 
-function generateTags(roomType, department) {
+// Returns an error message for a rule that can't be used, or null.
+function validateTagRule(rule) {
+    if (!rule.pattern || !rule.pattern.trim()) return 'Pattern is required';
+    if (!rule.tag || !rule.tag.trim()) return 'Tag is required';
+    try {
+        new RegExp(rule.pattern, rule.flags || '');
+    } catch (e) {
+        return `Invalid pattern: ${e.message}`;
+    }
+    return null;
+}
+
+// Compiles serializable rules to { tag, target, regex }, dropping invalid ones. Global/sticky flags are
+// removed because test() on such a regex is stateful.
+function compileTagRules(rules) {
+    return rules.filter(rule => {
+        const error = validateTagRule(rule);
+        if (error) console.warn(`Ignoring tag rule "${rule.tag}": ${error}`);
+        return !error;
+    }).map(rule => ({
+        tag: rule.tag.trim(),
+        target: rule.target || 'both',
+        regex: new RegExp(rule.pattern, (rule.flags || '').replace(/[gy]/g, ''))
+    }));
+}
+
+let compiledTagRulesCache = { source: null, rules: [] };
+
+function getCompiledTagRules() {
+    if (compiledTagRulesCache.source !== state.categoryTagRules) {
+        compiledTagRulesCache = { source: state.categoryTagRules, rules: compileTagRules(state.categoryTagRules) };
+    }
+    return compiledTagRulesCache.rules;
+}
+
+function generateTags(roomType, department, rules = getCompiledTagRules()) {
     const tags = new Set();
-    tagRules.forEach(rule => {
-        if (rule.pattern.test(roomType) || rule.pattern.test(department || '')) {
+    rules.forEach(rule => {
+        const matchesType = rule.target !== 'department' && rule.regex.test(roomType || '');
+        const matchesDepartment = rule.target !== 'type' && rule.regex.test(department || '');
+        if (matchesType || matchesDepartment) {
             tags.add(rule.tag);
         }
     });
-    return Array.from(tags);
+    return Array.from(tags);
+}
+
+// --- IMPORT TASKS & WORKER ---
+// Heavy import steps run in worker.js, which loads this file and dispatches to importTaskHandlers.
+// Where workers are unavailable (e.g. opened from file://) the same handlers run inline.
+
+const IMPORT_BATCH_SIZE = 2000;
+
+const searchIndexOptions = {
+    keys: [
+        { name: 'rmnbrStr', weight: 3.0 },
+        { name: 'unifiedTags', weight: 2.0 }
+    ],
+    threshold: 0.3,
+    ignoreLocation: true,
+    useExtendedSearch: true,
+    includeMatches: true,
+    minMatchCharLength: 1
+};
+
+function yieldToEventLoop() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// Each handler receives (payload, post) and may post { type: 'progress', percent, message } or
+// task-specific messages before returning its result. Handlers must not touch the DOM.
+const importTaskHandlers = {
+    // Streams rows back as { type: 'sheet', sheetIndex, sheetName } followed by { type: 'rows', sheetIndex, rows } batches.
+    async parse({ file }, post) {
+        const fileType = file.name.split('.').pop().toLowerCase();
+        if (fileType === 'csv') {
+            const text = await file.text();
+            post({ type: 'sheet', sheetIndex: 0, sheetName: null });
+            Papa.parse(text, {
+                header: true, skipEmptyLines: true, dynamicTyping: true, chunkSize: 512 * 1024,
+                chunk: (results) => {
+                    post({ type: 'rows', sheetIndex: 0, rows: results.data });
+                    post({ type: 'progress', percent: Math.round(Math.min(results.meta.cursor / (text.length || 1), 1) * 100) });
+                }
+            });
+            return null;
+        }
+        const wb = XLSX.read(await file.arrayBuffer());
+        for (let sheetIndex = 0; sheetIndex < wb.SheetNames.length; sheetIndex++) {
+            const sheetName = wb.SheetNames[sheetIndex];
+            post({ type: 'sheet', sheetIndex, sheetName });
+            const rows = XLSX.utils.sheet_to_json(wb.Sheets[sheetName]);
+            for (let i = 0; i < rows.length; i += IMPORT_BATCH_SIZE) {
+                post({ type: 'rows', sheetIndex, rows: rows.slice(i, i + IMPORT_BATCH_SIZE) });
+            }
+            post({ type: 'progress', percent: Math.round((sheetIndex + 1) / wb.SheetNames.length * 100), message: `Parsed sheet ${sheetName}` });
+            await yieldToEventLoop();
+        }
+        return null;
+    },
+
+    // Returns { rooms, skipped: [{ index, reason }], unmapped }. Rooms have no ids yet.
+    async normalizeRooms({ rows }, post) {
+        const unmapped = {};
+        const rooms = [];
+        const skipped = [];
+        for (let i = 0; i < rows.length; i++) {
+            const room = normalizeRoomRow(rows[i], unmapped);
+            if (room) rooms.push(room);
+            else skipped.push({ index: i, reason: getRoomRowRejection(rows[i]) });
+            if (i % IMPORT_BATCH_SIZE === IMPORT_BATCH_SIZE - 1) {
+                post({ type: 'progress', percent: Math.round((i + 1) / rows.length * 100) });
+                await yieldToEventLoop();
+            }
+        }
+        return { rooms, skipped, unmapped };
+    },
+
+    // Returns { unifiedTags (one string per room), fuseIndex, autocompleteItems } for state.processedData.
+    async buildIndex(payload, post) {
+        const rooms = state.processedData;
+        const unifiedTags = [];
+        for (let i = 0; i < rooms.length; i++) {
+            unifiedTags.push(createUnifiedTags(rooms[i]).join(' '));
+            if (i % IMPORT_BATCH_SIZE === IMPORT_BATCH_SIZE - 1) {
+                post({ type: 'progress', percent: Math.round((i + 1) / rooms.length * 80) });
+                await yieldToEventLoop();
+            }
+        }
+        const docs = rooms.map((r, i) => ({ rmnbrStr: r.rmnbr ? r.rmnbr.toString() : '', unifiedTags: unifiedTags[i] }));
+        const fuseIndex = Fuse.createIndex(searchIndexOptions.keys, docs).toJSON();
+        post({ type: 'progress', percent: 90, message: 'Building suggestions...' });
+        const autocompleteItems = buildUnifiedAutocomplete();
+        post({ type: 'progress', percent: 100 });
+        return { unifiedTags, fuseIndex, autocompleteItems };
+    }
+};
+
+let importWorker = null;
+let importWorkerUnavailable = false;
+let importTaskCounter = 0;
+const pendingImportTasks = new Map(); // id -> { task, payload, onMessage, resolve, reject }
+
+function createImportAbortError() {
+    return new DOMException('Import cancelled.', 'AbortError');
+}
+
+function handleImportProgress(message) {
+    if (message.type !== 'progress') return;
+    updateLoadingProgress(message.percent);
+    if (message.message) updateLoadingStatus(message.message);
+}
+
+function getImportWorker() {
+    if (importWorker || importWorkerUnavailable || typeof Worker === 'undefined') return importWorker;
+    try {
+        importWorker = new Worker('worker.js');
+    } catch (e) {
+        console.warn('Import worker unavailable; running imports on the main thread.', e);
+        importWorkerUnavailable = true;
+        return null;
+    }
+    importWorker.onmessage = (event) => {
+        const { id, type } = event.data;
+        const pending = pendingImportTasks.get(id);
+        if (!pending) return;
+        if (type === 'result') { pendingImportTasks.delete(id); pending.resolve(event.data.result); }
+        else if (type === 'error') { pendingImportTasks.delete(id); pending.reject(new Error(event.data.message)); }
+        else pending.onMessage(event.data);
+    };
+    importWorker.onerror = (event) => {
+        // Only fires when the worker itself fails (e.g. its scripts can't load); rerun pending tasks inline.
+        event.preventDefault();
+        console.warn('Import worker failed; running imports on the main thread.', event.message);
+        importWorker.terminate();
+        importWorker = null;
+        importWorkerUnavailable = true;
+        const tasks = Array.from(pendingImportTasks.values());
+        pendingImportTasks.clear();
+        tasks.forEach(t => runImportTaskInline(t.task, t.payload, t.onMessage).then(t.resolve, t.reject));
+    };
+    return importWorker;
+}
+
+function terminateImportWorker() {
+    if (importWorker) importWorker.terminate();
+    importWorker = null;
+    const tasks = Array.from(pendingImportTasks.values());
+    pendingImportTasks.clear();
+    tasks.forEach(t => t.reject(createImportAbortError()));
+}
+
+async function runImportTaskInline(task, payload, onMessage) {
+    const signal = state.importAbortController?.signal;
+    return importTaskHandlers[task](payload, message => {
+        if (signal?.aborted) throw createImportAbortError();
+        onMessage(message);
+    });
+}
+
+// Runs an import task in the worker (or inline). `stateSync` lists the state fields the worker needs
+// a copy of. Rejects with an AbortError if the current import is cancelled.
+function runImportTask(task, payload, stateSync = {}, onMessage = handleImportProgress) {
+    const signal = state.importAbortController?.signal;
+    if (signal?.aborted) return Promise.reject(createImportAbortError());
+    const worker = getImportWorker();
+    if (!worker) return runImportTaskInline(task, payload, onMessage);
+
+    const id = ++importTaskCounter;
+    return new Promise((resolve, reject) => {
+        pendingImportTasks.set(id, { task, payload, onMessage, resolve, reject });
+        worker.postMessage({ id, task, payload, stateSync });
+    });
+}
+
+// The state fields normalizeRoomRow reads, for tasks that normalize rooms in the worker.
+function getNormalizationStateSync() {
+    return { customAbbreviationMappings: state.customAbbreviationMappings, categoryTagRules: state.categoryTagRules };
+}
+
+function throwIfImportCancelled() {
+    if (state.importAbortController?.signal.aborted) throw createImportAbortError();
+}
+
+function cancelImport() {
+    if (!state.importAbortController) return;
+    updateLoadingStatus('Cancelling import...');
+    state.importAbortController.abort();
+    terminateImportWorker();
+}
+
+// Everything an import or edit can change in the workspace.
+const workspaceStateKeys = [
+    'processedData', 'customTags', 'tagImages', 'quarantinedTags', 'staffTags', 'occupants', 'buildingColors', 'unmappedAbbreviations', 'categoryTagRules',
+    'customAbbreviationMappings', 'loadedFiles', 'availableBuildings', 'availableFloors', 'availableTags', 'activeFilters',
+    'searchQuery', 'currentViewMode', 'resultsPerPage', 'reimportSummary'
+];
+
+// Photo entries are never changed once stored, so snapshots share them rather than copying every photo each time.
+const sharedEntryStateKeys = ['tagImages'];
+
+function copyWorkspaceValue(key, value) {
+    return sharedEntryStateKeys.includes(key) ? { ...value } : structuredClone(value);
+}
+
+// Copies the workspace (or just `keys`), so a cancelled import can be rolled back and edits undone.
+function captureWorkspaceState(keys = workspaceStateKeys) {
+    return Object.fromEntries(keys.map(key => [key, copyWorkspaceValue(key, state[key])]));
+}
+
+function restoreWorkspaceState(snapshot) {
+    Object.entries(snapshot).forEach(([key, value]) => { state[key] = copyWorkspaceValue(key, value); });
+    persistCategoryTagRules();
+    saveAbbreviationMappings();
+    state.currentPage = 1;
+}
+
+// --- UNDO HISTORY ---
+// state.undoStack / state.redoStack hold { label, time, snapshot } entries, newest last. The snapshot copies the
+// parts of the workspace an action changes, taken just before it ran; undoing swaps it with the current values of
+// the same parts so the entry can be redone. Entries are kept for the page session only.
+
+const HISTORY_LIMIT = 20;
+
+// Which parts of the workspace each kind of action changes.
+const historyScopes = {
+    tags: ['customTags', 'tagImages', 'quarantinedTags'],
+    normalization: ['processedData', 'unmappedAbbreviations', 'customAbbreviationMappings', 'categoryTagRules', 'availableBuildings', 'availableFloors', 'availableTags', 'activeFilters'],
+    workspace: workspaceStateKeys
+};
+
+function pushHistoryEntry(label, snapshot) {
+    state.undoStack.push({ label, time: new Date().toISOString(), snapshot });
+    if (state.undoStack.length > HISTORY_LIMIT) state.undoStack.shift();
+    state.redoStack = [];
+    updateHistoryControls(); // Direct call to ui.js function
+}
+
+// Call just before changing the workspace.
+function recordHistory(label, scope = 'workspace') {
+    pushHistoryEntry(label, captureWorkspaceState(historyScopes[scope]));
+}
+
+function getRoomHistoryLabel(roomId) {
+    const room = state.processedData.find(r => String(r.id) === String(roomId));
+    return room ? `room ${room.rmnbr} (${room.building || room.bld_descrshort || 'Unknown Building'})` : 'a room';
+}
+
+async function stepHistory(from, to) {
+    if (state.isProcessing || from.length === 0) return null;
+    const entry = from.pop();
+    to.push({ ...entry, snapshot: captureWorkspaceState(Object.keys(entry.snapshot)) });
+    restoreWorkspaceState(entry.snapshot);
+    await createSearchIndex();
+    updateFilesListUI(); // Direct call to ui.js function
+    await updateUI();      // Direct call to ui.js function
+    updateHistoryControls(); // Direct call to ui.js function
+    return entry;
+}
+
+async function undoLastChange() {
+    const entry = await stepHistory(state.undoStack, state.redoStack);
+    if (entry) console.log(`↩️ Undone: ${entry.label}`);
+    return entry;
+}
+
+async function redoLastChange() {
+    const entry = await stepHistory(state.redoStack, state.undoStack);
+    if (entry) console.log(`↪️ Redone: ${entry.label}`);
+    return entry;
+}
+
+// Returns one { sheetName, rows } entry per worksheet. CSV files yield a single entry with a null sheetName.
+async function parseFile(file) {
+    const fileType = file.name.split('.').pop().toLowerCase();
+    if (!['csv', 'xlsx', 'xls'].includes(fileType)) throw new Error('Unsupported file type for parsing.');
+    updateLoadingStatus(`Parsing ${file.name}...`);
+    const sheets = [];
+    await runImportTask('parse', { file }, {}, message => {
+        if (message.type === 'sheet') {
+            sheets[message.sheetIndex] = { sheetName: message.sheetName, rows: [] };
+        } else if (message.type === 'rows') {
+            const target = sheets[message.sheetIndex].rows;
+            for (const row of message.rows) target.push(row);
+        } else {
+            handleImportProgress(message);
+        }
+    });
+    return sheets;
+}
+
+function getSheetLabel(fileName, sheetName) {
+    return sheetName ? `${fileName} › ${sheetName}` : fileName;
+}
+
+// Lets the user include/exclude worksheets of a multi-sheet workbook. Marks each sheet with `included`.
+async function selectSheets(file, sheets) {
+    if (sheets.length <= 1) return sheets.map(sheet => ({ ...sheet, included: true }));
+    showLoading(false);
+    const includedNames = await showSheetSelectionModal(file.name, sheets); // Direct call to app.js function
+    showLoading(true);
+    if (!includedNames) throw new Error('Sheet selection was cancelled.');
+    return sheets.map(sheet => ({ ...sheet, included: includedNames.includes(sheet.sheetName) }));
+}
+
+// --- COLUMN MAPPING ---
+
+function normalizeHeader(header) {
+    return String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function getDataHeaders(data) {
+    const headers = new Set();
+    data.slice(0, 50).forEach(row => Object.keys(row).forEach(h => headers.add(h)));
+    return Array.from(headers);
+}
+
+function getHeaderSignature(headers, kind) {
+    return `${kind}:${headers.map(normalizeHeader).sort().join('|')}`;
+}
+
+// Suggests { canonicalKey: sourceHeader }. Exact canonical names win over aliases.
+function suggestColumnMapping(headers, fieldDefs) {
+    const mapping = {};
+    const used = new Set();
+    fieldDefs.forEach(field => {
+        const match = headers.find(h => !used.has(h) && normalizeHeader(h) === normalizeHeader(field.key));
+        if (match) { mapping[field.key] = match; used.add(match); }
+    });
+    fieldDefs.forEach(field => {
+        if (mapping[field.key]) return;
+        const aliases = field.aliases.map(normalizeHeader);
+        const match = headers.find(h => !used.has(h) && aliases.includes(normalizeHeader(h)));
+        if (match) { mapping[field.key] = match; used.add(match); }
+    });
+    return mapping;
+}
+
+function loadColumnMappingProfiles() {
+    try {
+        return JSON.parse(localStorage.getItem('hospitalDirectoryColumnMappings')) || {};
+    } catch (e) {
+        console.warn('Ignoring unreadable column mapping profiles:', e);
+        return {};
+    }
+}
+
+function saveColumnMappingProfile(signature, kind, mapping, sourceName) {
+    const profiles = loadColumnMappingProfiles();
+    profiles[signature] = { kind, mapping, sourceName, saved: new Date().toISOString() };
+    localStorage.setItem('hospitalDirectoryColumnMappings', JSON.stringify(profiles));
+}
+
+function applyColumnMapping(data, mapping) {
+    const renames = Object.entries(mapping).filter(([key, header]) => header && header !== key);
+    if (renames.length === 0) return data;
+    return data.map(row => {
+        const mapped = { ...row };
+        renames.forEach(([key, header]) => { mapped[key] = row[header]; });
+        return mapped;
+    });
+}
+
+// Maps non-standard headers onto the canonical fields. Uses a saved profile for a known
+// header layout, otherwise prompts with suggestions unless the sheet is already standard.
+async function mapColumns(data, fieldDefs, kind, sourceName) {
+    const headers = getDataHeaders(data);
+    if (headers.length === 0) return data;
+
+    const signature = getHeaderSignature(headers, kind);
+    let mapping = loadColumnMappingProfiles()[signature]?.mapping;
+
+    if (!mapping) {
+        const suggested = suggestColumnMapping(headers, fieldDefs);
+        const isStandard = fieldDefs.every(f => suggested[f.key] === f.key || (!suggested[f.key] && !f.required));
+        if (isStandard) return data;
+
+        showLoading(false);
+        const result = await showColumnMappingModal(sourceName, headers, fieldDefs, suggested, data[0]); // Direct call to app.js function
+        showLoading(true);
+        if (!result) throw new Error('Column mapping was cancelled.');
+        mapping = result.mapping;
+        if (result.remember) saveColumnMappingProfile(signature, kind, mapping, sourceName);
+    }
+
+    const missing = fieldDefs.filter(f => f.required && !mapping[f.key]);
+    if (missing.length > 0) throw new Error(`Missing required column(s): ${missing.map(f => f.label).join(', ')}`);
+    return applyColumnMapping(data, mapping);
+}
+
+// Expands the type/subtype abbreviations of a raw export row into the display room type.
+function buildRoomTypeFull(row, unmapped) {
+    const type = normalizeAbbreviation(row.rmtyp_descrshort, unmapped);
+    const sub = normalizeAbbreviation(row.rmsubtyp_descrshort, unmapped);
+    let full = type;
+    if (sub && type !== sub) {
+        full = `${type} - ${sub}`;
+    }
+    if (fullReplacements[`${type} ${sub}`.trim()]) {
+        full = fullReplacements[`${type} ${sub}`.trim()];
+    } else if (type === sub) {
+        full = type;
+    }
+    return full;
+}
+
+// Returns why a room row can't be imported, or null if it can.
+function getRoomRowRejection(row) {
+    const missingRoom = !row.rmnbr;
+    const missingFloor = typeof row.floor === 'undefined' || row.floor === null;
+    if (missingRoom && missingFloor) return 'Missing room number and floor';
+    if (missingRoom) return 'Missing room number (rmnbr)';
+    if (missingFloor) return 'Missing floor';
+    return null;
+}
+
+// Turns a raw export row into a room (without an id). Returns null if the row can't be placed.
+function normalizeRoomRow(row, unmapped) {
+    if (getRoomRowRejection(row)) return null;
+    const full = buildRoomTypeFull(row, unmapped);
+    return {
+        ...row,
+        typeFull: full,
+        tags: generateTags(full, row.dept_descr),
+        mgisLink: generateMgisLink(row),
+        building: row.bld_descrshort || 'Unknown Building'
+    };
+}
+
+function getNextRoomId() {
+    return state.processedData.reduce((max, r) => Math.max(max, Number(r.id) + 1), 0);
+}
+
+// --- ROOM IDENTITY ---
+
+// Canonical form for comparing room numbers across exports: "Rm 0101-A", "101a" and "101 A" all become "101A".
+function normalizeRoomNumber(rmnbr) {
+    return String(rmnbr ?? '').trim().toUpperCase()
+        .replace(/^(ROOM|RM)\.?\s*/, '')
+        .replace(/[\s\-_.#]/g, '')
+        .replace(/^0+(?=\d)/, '');
+}
+
+function normalizeBuildingName(building) {
+    return String(building ?? '').trim().toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function getRoomLocationKey(building, rmnbr) {
+    return `${normalizeBuildingName(building)}|${normalizeRoomNumber(rmnbr)}`;
+}
+
+// Indexes rooms by rmrecnbr and by building + room number for identity matching.
+function buildRoomIdentityIndex(rooms) {
+    const byRecord = new Map();
+    const byLocation = new Map();
+    rooms.forEach(room => {
+        if (room.rmrecnbr !== undefined && room.rmrecnbr !== null && room.rmrecnbr !== '') byRecord.set(String(room.rmrecnbr), room);
+        byLocation.set(getRoomLocationKey(room.building || room.bld_descrshort, room.rmnbr), room);
+    });
+    return { byRecord, byLocation };
+}
+
+function findRoomByIdentity(index, ref) {
+    if (ref.rmrecnbr !== undefined && ref.rmrecnbr !== null && ref.rmrecnbr !== '') {
+        const room = index.byRecord.get(String(ref.rmrecnbr));
+        if (room) return room;
+    }
+    return index.byLocation.get(getRoomLocationKey(ref.building || ref.bld_descrshort, ref.rmnbr)) || null;
+}
+
+function rebuildAvailableFilters() {
+    state.availableBuildings = [...new Set(state.processedData.map(r => r.building || r.bld_descrshort || 'Unknown'))].sort();
+    state.availableFloors = [...new Set(state.processedData.map(r => (r.floor !== null && typeof r.floor !== 'undefined') ? r.floor.toString() : 'N/A'))].sort((a, b) => (a === 'N/A') ? 1 : (b === 'N/A') ? -1 : Number(a) - Number(b));
+    state.availableTags = [...new Set(state.processedData.flatMap(r => r.tags || []))].sort();
+}
+
+function assignMissingBuildingColors(buildings) {
+    buildings.forEach(b => {
+        if (!state.buildingColors[b]) {
+            state.buildingColors[b] = assignBuildingColor(b, Object.keys(state.buildingColors).length); // Direct call to ui.js function
+        }
+    });
+}
+
+// Returns the rejected rows as [{ index, reason }] (indexes into `data`).
+async function processRoomData(data) {
+    updateLoadingStatus('Processing room data...');
+    const { rooms, skipped, unmapped } = await runImportTask('normalizeRooms', { rows: data }, getNormalizationStateSync());
+    const processed = [];
+    const buildings = new Set();
+    const floors = new Set();
+    const tags = new Set();
+    let uniqueIdCounter = getNextRoomId();
+
+    rooms.forEach((room) => {
+        buildings.add(room.building);
+        room.tags.forEach(t => tags.add(t));
+        floors.add(room.floor.toString());
+        processed.push({ ...room, id: uniqueIdCounter++ });
+    });
+
+    const buildingsArray = Array.from(buildings);
+    assignMissingBuildingColors(buildingsArray);
+
+    state.processedData = state.processedData.concat(processed);
+    state.unmappedAbbreviations = { ...state.unmappedAbbreviations, ...unmapped };
+
+    state.availableBuildings = [...new Set([...state.availableBuildings, ...buildingsArray])].sort();
+    state.availableFloors = [...new Set([...state.availableFloors, ...Array.from(floors)])].sort((a, b) => Number(a) - Number(b));
+    state.availableTags = [...new Set([...state.availableTags, ...Array.from(tags)])].sort();
+    state.currentPage = 1;
+
+    updateLoadingStatus('Creating search index...');
+    await createSearchIndex();
+    return skipped;
+}
+
+// Re-import mode: updates rooms matched by rmrecnbr (or building + rmnbr) in place so their ids,
+// custom tags and staff tags survive, appends new rooms, and flags rooms of the imported buildings
+// that are no longer in the export. Returns the rejected rows like processRoomData.
+async function reimportRoomData(data) {
+    updateLoadingStatus('Matching rooms against existing data...');
+    const { rooms, skipped, unmapped } = await runImportTask('normalizeRooms', { rows: data }, getNormalizationStateSync());
+    const index = buildRoomIdentityIndex(state.processedData);
+    const seenIds = new Set();
+    const importedBuildings = new Set();
+    const importedAt = new Date().toISOString();
+    const comparedFields = ['rmnbr', 'floor', 'bld_descrshort', 'rmtyp_descrshort', 'rmsubtyp_descrshort', 'dept_descr', 'rmrecnbr', 'typeFull'];
+    const summary = { added: 0, updated: 0, unchanged: 0, missing: 0 };
+    let uniqueIdCounter = getNextRoomId();
+
+    rooms.forEach(room => {
+        importedBuildings.add(room.building);
+        const existing = findRoomByIdentity(index, room);
+        if (existing) {
+            const changed = comparedFields.some(f => String(existing[f] ?? '') !== String(room[f] ?? ''));
+            const id = existing.id;
+            Object.assign(existing, room, { id });
+            delete existing.missingFromImport;
+            seenIds.add(id);
+            summary[changed ? 'updated' : 'unchanged']++;
+        } else {
+            const added = { ...room, id: uniqueIdCounter++ };
+            state.processedData.push(added);
+            seenIds.add(added.id);
+            summary.added++;
+        }
+    });
+
+    state.processedData.forEach(room => {
+        if (seenIds.has(room.id) || !importedBuildings.has(room.building)) return;
+        if (!room.missingFromImport) room.missingFromImport = importedAt;
+        summary.missing++;
+    });
+
+    assignMissingBuildingColors(Array.from(importedBuildings));
+    state.unmappedAbbreviations = { ...state.unmappedAbbreviations, ...unmapped };
+    rebuildAvailableFilters();
+    state.currentPage = 1;
+    console.log(`🔄 Re-import: ${summary.added} added, ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.missing} missing.`);
+    state.reimportSummary = summary;
+
+    updateLoadingStatus('Creating search index...');
+    await createSearchIndex();
+    return skipped;
+}
+
+// --- OCCUPANTS ---
+// state.occupants holds one record per person; state.staffTags keeps the "Staff: Name" strings used by search.
+
+const occupantDetailFields = ['title', 'email', 'phone', 'department', 'uniqname'];
+
+// Identifies a person across rows and files: uniqname, then email, then name.
+function getOccupantKey(occ) {
+    const uniqname = String(occ.uniqname || '').trim().toLowerCase();
+    if (uniqname) return `uniqname:${uniqname}`;
+    const email = String(occ.email || '').trim().toLowerCase();
+    if (email) return `email:${email}`;
+    return `name:${String(occ.person_name).trim().toLowerCase()}`;
+}
+
+// Creates or updates the record for an occupant row. Non-empty values from later rows win.
+function upsertOccupant(occ) {
+    const key = getOccupantKey(occ);
+    if (!state.occupants[key]) {
+        state.occupants[key] = { id: key, name: String(occ.person_name).trim(), roomIds: [] };
+        occupantDetailFields.forEach(field => { state.occupants[key][field] = ''; });
+    }
+    const occupant = state.occupants[key];
+    occupantDetailFields.forEach(field => {
+        const value = occ[field] === null || occ[field] === undefined ? '' : String(occ[field]).trim();
+        if (value) occupant[field] = value;
+    });
+    return occupant;
+}
+
+function getOccupantsForRoom(roomId) {
+    return Object.values(state.occupants).filter(o => o.roomIds.some(id => String(id) === String(roomId)));
+}
+
+// Resolves a "Staff: Name" pill back to its record, or null for staff tags from older sessions.
+function findOccupantForStaffTag(roomId, staffTag) {
+    const name = staffTag.replace(/^Staff: /, '').trim().toLowerCase();
+    return getOccupantsForRoom(roomId).find(o => o.name.toLowerCase() === name) || null;
+}
+
+// People sorted by name, optionally filtered by a text query over name and details.
+function getOccupantList(query = '') {
+    const q = query.trim().toLowerCase();
+    return Object.values(state.occupants)
+        .filter(o => !q || [o.name, ...occupantDetailFields.map(f => o[f])].some(v => v && v.toLowerCase().includes(q)))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function attachOccupantToRoom(occ, room) {
+    const occupant = upsertOccupant(occ);
+    if (!occupant.roomIds.includes(room.id)) occupant.roomIds.push(room.id);
+    if (!state.staffTags[room.id]) {
+        state.staffTags[room.id] = [];
+    }
+    const staffTag = `Staff: ${String(occ.person_name).trim()}`;
+    if (!state.staffTags[room.id].includes(staffTag)) {
+        state.staffTags[room.id].push(staffTag);
+    }
+}
+
+// Finds the room for an occupant row: a remembered manual assignment, then rmrecnbr, then building + room number.
+// Returns { room, method } or null.
+function matchOccupantToRoom(occ, index, assignments) {
+    const assigned = assignments[getOccupantAssignmentKey(occ)];
+    if (assigned) {
+        const room = findRoomByIdentity(index, assigned);
+        if (room) return { room, method: 'assignment' };
+    }
+    if (occ.rmrecnbr !== undefined && occ.rmrecnbr !== null && occ.rmrecnbr !== '') {
+        const room = index.byRecord.get(String(occ.rmrecnbr));
+        if (room) return { room, method: 'record' };
+    }
+    if (occ.bld_descrshort && occ.rmnbr) {
+        const room = index.byLocation.get(getRoomLocationKey(occ.bld_descrshort, occ.rmnbr));
+        if (room) return { room, method: 'location' };
+    }
+    return null;
+}
+
+function getOccupantRoomReference(occ) {
+    const parts = [];
+    if (occ.bld_descrshort || occ.rmnbr) parts.push(`${occ.bld_descrshort || '?'} ${occ.rmnbr || '?'}`);
+    if (occ.rmrecnbr) parts.push(`record ${occ.rmrecnbr}`);
+    return parts.join(', ');
+}
+
+// Returns the occupant rows that could not be placed as [{ index, reason, unmatched? }]. Rows flagged
+// `unmatched` have a name and a room reference and can be placed by hand in the resolver.
+async function processOccupantData(data) {
+    updateLoadingStatus('Processing occupant data...');
+    const index = buildRoomIdentityIndex(state.processedData);
+    const assignments = loadOccupantAssignments();
+    const matchedBy = { assignment: 0, record: 0, location: 0 };
+    const rejected = [];
+    data.forEach((occ, rowIndex) => {
+        if (!occ.person_name) {
+            rejected.push({ index: rowIndex, reason: 'Missing person name' });
+            return;
+        }
+        if (!occ.rmrecnbr && !occ.rmnbr) {
+            rejected.push({ index: rowIndex, reason: 'Missing room reference (rmrecnbr or room number)' });
+            return;
+        }
+        const match = matchOccupantToRoom(occ, index, assignments);
+        if (!match) {
+            rejected.push({ index: rowIndex, reason: `No loaded room matches ${getOccupantRoomReference(occ)}`, unmatched: true });
+            return;
+        }
+        matchedBy[match.method]++;
+        attachOccupantToRoom(occ, match.room);
+    });
+    if (matchedBy.location > 0 || matchedBy.assignment > 0) {
+        console.log(`👥 Occupants matched: ${matchedBy.record} by record number, ${matchedBy.location} by building + room number, ${matchedBy.assignment} by saved assignment.`);
+    }
+    state.currentPage = 1;
+    await createSearchIndex();
+    return rejected;
+}
+
+// Sheet-selects and column-maps every parsed input ({ file, sheets }), recording one loadedFiles entry per sheet.
+// Returns { rows, rowEntries } where rowEntries[i] is the loadedFiles entry that rows[i] came from.
+async function collectSheetRows(inputs, fieldDefs, kind, errorLabel) {
+    let allRows = [];
+    const rowEntries = [];
+    for (const { file, sheets: parsedSheets } of inputs) {
+        let sheets;
+        try {
+            sheets = await selectSheets(file, parsedSheets);
+        } catch (e) {
+            if (e.name === 'AbortError') throw e;
+            addError(`${errorLabel} Error (${file.name}): ${e.message}`);
+            state.loadedFiles.push({ name: file.name, type: kind, status: 'error', message: e.message });
+            continue;
+        }
+        for (const sheet of sheets) {
+            const entry = { name: file.name, sheet: sheet.sheetName, type: kind };
+            if (!sheet.included) {
+                state.loadedFiles.push({ ...entry, rows: sheet.rows.length, status: 'excluded' });
+                continue;
+            }
+            try {
+                const data = await mapColumns(sheet.rows, fieldDefs, kind, getSheetLabel(file.name, sheet.sheetName));
+                const loadedEntry = { ...entry, rows: data.length, status: 'processed' };
+                allRows = allRows.concat(data);
+                data.forEach(() => rowEntries.push(loadedEntry));
+                state.loadedFiles.push(loadedEntry);
+            } catch (e) {
+                if (e.name === 'AbortError') throw e;
+                addError(`${errorLabel} Error (${getSheetLabel(file.name, sheet.sheetName)}): ${e.message}`);
+                state.loadedFiles.push({ ...entry, status: 'error', message: e.message });
+            }
+        }
+    }
+    return { rows: allRows, rowEntries };
+}
+
+// Attaches rejected rows to the loadedFiles entry they came from, for the import report.
+function recordRejectedRows(rows, rowEntries, rejected) {
+    rejected.forEach(({ index, reason, ...flags }) => {
+        const entry = rowEntries[index];
+        if (!entry.rejected) entry.rejected = [];
+        entry.rejected.push({ row: rows[index], reason, ...flags });
+    });
+    if (rejected.length > 0) {
+        console.warn(`⚠️ ${rejected.length} rows were not imported.`, rejected);
+        addError(`${rejected.length} row(s) were not imported. Open the import report to review or download them.`);
+    }
+}
+
+async function processRoomDataFiles(inputs) {
+    const { rows, rowEntries } = await collectSheetRows(inputs, roomFieldDefinitions, 'room', 'Room Data');
+    if (rows.length > 0) {
+        const rejected = (state.reimportMode && state.processedData.length > 0) ? await reimportRoomData(rows) : await processRoomData(rows);
+        recordRejectedRows(rows, rowEntries, rejected);
+    }
+}
+
+async function processOccupantDataFiles(inputs) {
+    const { rows, rowEntries } = await collectSheetRows(inputs, occupantFieldDefinitions, 'occupant', 'Occupant Data');
+    if (rows.length > 0) {
+        recordRejectedRows(rows, rowEntries, await processOccupantData(rows));
+    }
+}
+
+// --- FILE CLASSIFICATION ---
+
+// Parses the outer layer of a session file: a v2 envelope or v1 body in plain JSON, or a base64 v1 body.
+// See readSessionFile for the full decode.
+function decodeSessionText(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{')) return JSON.parse(trimmed);
+    return JSON.parse(decodeURIComponent(escape(atob(trimmed))));
+}
+
+// Infers tags vs. room vs. occupant data from the column headers of every sheet.
+function classifySpreadsheet(file, sheets) {
+    const headers = [...new Set(sheets.flatMap(sheet => getDataHeaders(sheet.rows)))];
+    const tagMatch = suggestColumnMapping(headers, tagFieldDefinitions);
+    if (tagMatch.tag_name && (tagMatch.rmnbr || tagMatch.rmrecnbr)) return { kind: 'tags', confidence: 'high', reason: 'Has tag name and room columns' };
+    const roomMatch = suggestColumnMapping(headers, roomFieldDefinitions);
+    const occupantMatch = suggestColumnMapping(headers, occupantFieldDefinitions);
+    const hasRoomType = !!(roomMatch.rmtyp_descrshort || roomMatch.rmsubtyp_descrshort);
+    const hasRoomLocation = !!(roomMatch.rmnbr && roomMatch.floor);
+    const hasPerson = !!occupantMatch.person_name;
+
+    if (hasPerson && !hasRoomType) return { kind: 'occupant', confidence: 'high', reason: 'Has a person name column' };
+    if (hasRoomType && hasRoomLocation && !hasPerson) return { kind: 'room', confidence: 'high', reason: 'Has room number, floor and room type columns' };
+    if (hasPerson && hasRoomType) return { kind: hasRoomLocation ? 'room' : 'occupant', confidence: 'low', reason: 'Has both room type and person name columns' };
+    if (hasRoomLocation) return { kind: 'room', confidence: 'low', reason: 'Has room number and floor but no room type column' };
+
+    const lowerName = file.name.toLowerCase();
+    const kind = (lowerName.includes('occupant') || lowerName.includes('staff')) ? 'occupant' : 'room';
+    return { kind, confidence: 'low', reason: 'No recognized columns; guessed from the file name' };
+}
+
+function classifyJson(text) {
+    let parsed;
+    try {
+        parsed = decodeSessionText(text);
+    } catch (e) {
+        return { kind: 'skip', confidence: 'low', reason: 'File could not be read as JSON or a session' };
+    }
+    if (isEncryptedExport(parsed)) {
+        const kind = parsed.contentType === 'session' ? 'session' : 'tags';
+        return { kind, confidence: 'high', reason: `Passphrase-encrypted ${kind === 'session' ? 'session' : 'custom tags'}` };
+    }
+    if (parsed && parsed.type === 'um_session') return { kind: 'session', confidence: 'high', reason: 'Marked as a session (type "um_session")' };
+    if (parsed && parsed.customTags) return { kind: 'tags', confidence: 'high', reason: 'Contains customTags data' };
+    if (parsed && parsed.type === 'um_abbreviation_mappings') return { kind: 'skip', confidence: 'high', reason: 'Abbreviation mappings; import them from Manage Abbreviations' };
+    return { kind: 'tags', confidence: 'low', reason: 'Unrecognized JSON structure' };
+}
+
+// Returns { file, format, kind, confidence, reason, sheets? } describing how the file will be imported.
+async function classifyFile(file) {
+    const fileType = file.name.split('.').pop().toLowerCase();
+    if (['xlsx', 'xls', 'csv'].includes(fileType)) {
+        const sheets = await parseFile(file);
+        return { file, format: 'spreadsheet', sheets, ...classifySpreadsheet(file, sheets) };
+    }
+    if (['json', 'umsess'].includes(fileType)) {
+        updateLoadingStatus(`Reading ${file.name}...`);
+        return { file, format: 'json', ...classifyJson(await file.text()) };
+    }
+    return { file, format: 'unsupported', kind: 'skip', confidence: 'high', reason: 'Unsupported type' };
+}
+
+async function handleFiles(files) {
+    state.importAbortController = new AbortController();
+    const snapshot = captureWorkspaceState();
+    const unmatchedBefore = getUnmatchedOccupants().length;
+    showLoading(true);
+    setProcessingState(true, elements.processingIndicator);
+    clearErrors();
+    let rolledBack = false;
+    try {
+        await importFiles(files);
+    } catch (e) {
+        // Cancelled or failed: put everything back exactly as it was before the import started.
+        rolledBack = true;
+        if (e.name === 'AbortError') {
+            addError('Import cancelled. No changes were made.');
+        } else {
+            addError(`Import failed: ${e.message}. No changes were made.`);
+            console.error(e);
+        }
+        restoreWorkspaceState(snapshot);
+        state.importAbortController = null;
+        showLoading(true);
+        updateLoadingStatus('Restoring previous data...');
+        await createSearchIndex().catch(indexError => console.error('Could not rebuild the search index:', indexError));
+    } finally {
+        state.importAbortController = null;
+    }
+    if (!rolledBack) {
+        const names = Array.from(files, file => file.name);
+        pushHistoryEntry(names.length === 1 ? `Import '${names[0]}'` : `Import ${names.length} files`, snapshot);
+    }
+
+    updateFilesListUI(); // Direct call to ui.js function
+    updateDataSummary(); // Direct call to ui.js function
+    await updateUI();      // Direct call to ui.js function
+
+    if(state.processedData.length > 0) {
+        enableDependentFeatures(); // Direct call to ui.js function
+        updateUploadAreaState(); // Direct call to ui.js function
+    }
+
+    if (state.processedData.length > 0 || Object.keys(state.customTags).length > 0) {
+        showSecurityReminder(); // Direct call to app.js function (made global)
+    }
+
+    showLoading(false);
+    setProcessingState(false, elements.processingIndicator);
+
+    if (getUnmatchedOccupants().length > unmatchedBefore) {
+        showOccupantResolverModal(); // Direct call to app.js function
+    }
+}
+
+async function importFiles(files) {
+    const inputs = [];
+
+    for (const file of files) {
+        throwIfImportCancelled();
+        try {
+            const input = await classifyFile(file);
+            if (input.format === 'unsupported') {
+                addError(`Unsupported file type: ${file.name}`);
+                state.loadedFiles.push({ name: file.name, type: 'unsupported', status: 'error', message: 'Unsupported type' });
+                continue;
+            }
+            inputs.push(input);
+        } catch (e) {
+            if (e.name === 'AbortError') throw e;
+            addError(`File Read Error (${file.name}): ${e.message}`);
+            state.loadedFiles.push({ name: file.name, type: 'unknown', status: 'error', message: e.message });
+        }
+    }
+
+    if (inputs.some(input => input.confidence === 'low')) {
+        showLoading(false);
+        const kinds = await showFileClassificationModal(inputs); // Direct call to app.js function
+        showLoading(true);
+        inputs.forEach((input, i) => { input.kind = kinds ? kinds[i] : 'skip'; });
+    }
+    const ofKind = kind => inputs.filter(input => input.kind === kind);
+
+    for (const input of ofKind('session')) {
+        await importSession(input.file);
+        throwIfImportCancelled();
+    }
+    if (ofKind('room').length > 0) {
+        await processRoomDataFiles(ofKind('room'));
+    }
+    if (ofKind('occupant').length > 0) {
+        await processOccupantDataFiles(ofKind('occupant'));
+    }
+    for (const input of ofKind('tags').filter(input => input.format === 'json')) {
+        await importCustomTags(input.file);
+        throwIfImportCancelled();
+    }
+    if (ofKind('tags').some(input => input.format === 'spreadsheet')) {
+        await importCustomTagSheets(ofKind('tags').filter(input => input.format === 'spreadsheet'));
+    }
+    ofKind('skip').forEach(input => {
+        if (input.confidence === 'high') addError(`${input.file.name} was not imported: ${input.reason}.`);
+        state.loadedFiles.push({ name: input.file.name, type: 'skipped', status: 'excluded' });
+    });
+}
+
+async function exportCustomTags() {
+    if (Object.keys(state.customTags).length === 0) {
+        addError("No custom tags to export.");
+        return;
+    }
+    const exportData = {
+        version: "1.2",
+        timestamp: new Date().toISOString(),
+        customTags: {},
+        roomReference: {}
+    };
+
+    Object.keys(state.customTags).forEach(roomId => {
+        const room = state.processedData.find(r => r.id.toString() === roomId.toString());
+        if (room && state.customTags[roomId] && state.customTags[roomId].length > 0) {
+            exportData.customTags[roomId] = state.customTags[roomId];
+            exportData.roomReference[roomId] = {
+                rmnbr: room.rmnbr,
+                typeFull: room.typeFull,
+                rmrecnbr: room.rmrecnbr,
+                building: room.bld_descrshort
+            };
+        }
+    });
+
+    if (Object.keys(exportData.customTags).length === 0) {
+        addError("No valid custom tags found on currently loaded rooms to export.");
+        return;
+    }
+    let fileContents;
+    try {
+        fileContents = await protectExportText(JSON.stringify(exportData, null, 2), 'tags');
+    } catch (error) {
+        addError("Error encrypting custom tags: " + error.message);
+        return;
+    }
+    if (fileContents === null) return;
+    downloadFile(fileContents, `custom_tags_${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+}
+
+async function importCustomTags(file) {
+    showLoading(true);
+    setProcessingState(true, elements.processingIndicator);
+    clearErrors();
+    try {
+        const importData = JSON.parse(await readImportText(file));
+        if (!importData.customTags) throw new Error("Invalid tags file: missing customTags data.");
+        await importTagData(importData, file.name);
+    } catch (e) {
+        if (e.name === 'AbortError') throw e;
+        addError(`Tags Import Error: ${e.message}`);
+        console.error(e);
+    } finally {
+        showLoading(false);
+        setProcessingState(false, elements.processingIndicator);
+    }
+}
+
+// --- TAG SPREADSHEETS ---
+// Flat layout for editing tags in Excel: one row per room-tag pair with the tagFieldDefinitions columns.
+// Imported rows are grouped by room into the same shape as a JSON tags file and go through the same preview.
+
+function getCustomTagRows() {
+    const rows = [];
+    Object.keys(state.customTags).forEach(roomId => {
+        const room = state.processedData.find(r => String(r.id) === String(roomId));
+        if (!room) return;
+        state.customTags[roomId].forEach(tag => rows.push({
+            building: room.bld_descrshort || '',
+            rmnbr: room.rmnbr,
+            rmrecnbr: room.rmrecnbr ?? '',
+            tag_name: tag.name,
+            tag_type: tag.type || 'simple',
+            tag_color: tag.color || 'blue',
+            tag_description: tag.description || '',
+            tag_link: tag.link || '',
+            tag_contact: tag.contact || '',
+            tag_fields: formatTagFields(tag.type, tag.fields),
+            tag_author: tag.author || '',
+            tag_reviewed: tag.reviewed || '',
+            tag_expires: tag.expires || ''
+        }));
+    });
+    return rows.sort((a, b) => String(a.building).localeCompare(String(b.building)) || String(a.rmnbr).localeCompare(String(b.rmnbr), undefined, { numeric: true }) || a.tag_name.localeCompare(b.tag_name));
+}
+
+// format: 'csv' or 'xlsx'. Spreadsheets are always written unencrypted. CSV values that Excel would run as a
+// formula get a leading ', which buildTagImportFromRows takes off again.
+function exportCustomTagsSpreadsheet(format) {
+    const rows = getCustomTagRows();
+    if (rows.length === 0) {
+        addError("No custom tags found on currently loaded rooms to export.");
+        return;
+    }
+    const fields = tagFieldDefinitions.map(field => field.key);
+    const fileName = `custom_tags_${new Date().toISOString().split('T')[0]}.${format}`;
+    if (format === 'csv') {
+        downloadFile(Papa.unparse({ fields, data: rows.map(row => fields.map(key => row[key])) }, { escapeFormulae: true }), fileName, 'text/csv');
+        return;
+    }
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows, { header: fields }), 'Custom Tags');
+    downloadFile(XLSX.write(workbook, { bookType: 'xlsx', type: 'array' }), fileName, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+}
+
+// Returns why a tag row can't be imported, or null if it can.
+function getTagRowRejection(row) {
+    const hasValue = value => value !== undefined && value !== null && String(value).trim() !== '';
+    if (!hasValue(row.tag_name)) return 'Missing tag name';
+    if (!hasValue(row.rmrecnbr) && !hasValue(row.rmnbr)) return 'Missing room number and room record number';
+    if (hasValue(row.tag_type) && !customTagTypes.includes(String(row.tag_type).trim().toLowerCase())) return `Unknown tag type "${row.tag_type}"`;
+    if (hasValue(row.tag_color) && !customTagColors.includes(String(row.tag_color).trim().toLowerCase())) return `Unknown tag color "${row.tag_color}"`;
+    if (hasValue(row.tag_fields)) {
+        const type = String(row.tag_type ?? '').trim().toLowerCase() || 'simple';
+        const { fields, unknown } = parseTagFields(type, row.tag_fields);
+        if (unknown.length > 0) return `Unknown ${type} field "${unknown[0]}"`;
+        const fieldErrors = getTagFieldErrors(type, fields);
+        if (fieldErrors.length > 0) return fieldErrors[0];
+    }
+    if (hasValue(row.tag_reviewed) && !normalizeTagDate(row.tag_reviewed)) return `Unreadable review date "${row.tag_reviewed}"`;
+    if (hasValue(row.tag_expires) && !normalizeTagDate(row.tag_expires)) return `Unreadable expiration date "${row.tag_expires}"`;
+    return null;
+}
+
+// Groups valid rows by room reference into { customTags, roomReference }; returns it with the rejected rows.
+function buildTagImportFromRows(rows) {
+    const importData = { customTags: {}, roomReference: {} };
+    const groups = new Map();
+    const rejected = [];
+    rows.forEach((row, index) => {
+        const reason = getTagRowRejection(row);
+        if (reason) {
+            rejected.push({ index, reason });
+            return;
+        }
+        const groupKey = `${row.rmrecnbr ?? ''}|${getRoomLocationKey(row.building, row.rmnbr)}`;
+        if (!groups.has(groupKey)) {
+            const sourceId = `row-${index + 1}`; // Never a room id, so rooms are matched by reference only
+            groups.set(groupKey, sourceId);
+            importData.customTags[sourceId] = [];
+            importData.roomReference[sourceId] = { rmnbr: row.rmnbr ?? '', rmrecnbr: row.rmrecnbr ?? '', building: row.building ?? '' };
+        }
+        const text = value => String(value ?? '').trim().replace(/^'(?=[=+\-@])/, ''); // Undo the CSV export's formula escaping
+        importData.customTags[groups.get(groupKey)].push({
+            name: text(row.tag_name),
+            type: text(row.tag_type).toLowerCase() || 'simple',
+            color: text(row.tag_color).toLowerCase() || 'blue',
+            description: text(row.tag_description),
+            link: text(row.tag_link),
+            contact: text(row.tag_contact),
+            fields: parseTagFields(text(row.tag_type).toLowerCase() || 'simple', row.tag_fields).fields,
+            author: text(row.tag_author),
+            reviewed: normalizeTagDate(row.tag_reviewed) || '',
+            expires: normalizeTagDate(row.tag_expires) || ''
+        });
+    });
+    return { importData, rejected };
+}
+
+async function importCustomTagSheets(inputs) {
+    const { rows, rowEntries } = await collectSheetRows(inputs, tagFieldDefinitions, 'tags', 'Tags Import');
+    if (rows.length === 0) return;
+    const { importData, rejected } = buildTagImportFromRows(rows);
+    recordRejectedRows(rows, rowEntries, rejected);
+    if (Object.keys(importData.customTags).length === 0) return;
+    try {
+        await importTagData(importData, inputs.map(input => input.file.name).join(', '));
+    } catch (e) {
+        if (e.name === 'AbortError') throw e;
+        addError(`Tags Import Error: ${e.message}`);
+        console.error(e);
+    }
+}
+
+// --- TAG IMPORT PREVIEW ---
+// A tags file is planned first: each tag set in it is matched to a loaded room, and tags whose names already
+// exist on that room with different details become conflicts. The plan is shown in the tag import preview
+// modal, where ambiguous matches are resolved and each conflict gets a choice, and only then applied.
+
+// Shared by JSON and spreadsheet tag imports: plans, previews and applies one file's worth of tags.
+async function importTagData(importData, sourceName) {
+    const plan = planTagImport(importData);
+    if (plan.sets.length === 0) {
+        quarantineTagImport(plan, sourceName);
+        if (plan.unmatched.length > 0 || plan.quarantined.length === 0) addError(`No rooms in the loaded data match the tags in ${sourceName}; ${plan.unmatched.length} tag set(s) skipped.`);
+        return;
+    }
+    showLoading(false);
+    const choices = await showTagImportPreviewModal(plan, sourceName); // Direct call to app.js function
+    showLoading(true);
+    if (!choices) {
+        addError(`Tag import from ${sourceName} cancelled. No tags were changed.`);
+        return;
+    }
+    console.log(`✅ ${sourceName}: ${describeTagImportSummary(applyTagImport(plan, choices))}`);
+    quarantineTagImport(plan, sourceName);
+    await createSearchIndex();
+}
+
+function createRichTagFromFile(tagFromFile) {
+    return (typeof tagFromFile === 'string') ?
+        createRichTag(tagFromFile, 'simple', '', '', '', '', 'blue') :
+        createRichTag(tagFromFile.name, tagFromFile.type, tagFromFile.description, tagFromFile.link, tagFromFile.contact, tagFromFile.imageUrl, tagFromFile.color, tagFromFile, tagFromFile.fields);
+}
+
+// Returns { method, candidates }; method is 'rmrecnbr', 'id', 'building' or 'number', and more than one
+// candidate means the match is ambiguous. A room id only counts when the room number agrees with the reference.
+function matchTagImportRoom(sourceId, ref, recordIndex) {
+    const hasValue = value => value !== undefined && value !== null && value !== '';
+    if (hasValue(ref.rmrecnbr)) {
+        const room = recordIndex.get(String(ref.rmrecnbr));
+        if (room) return { method: 'rmrecnbr', candidates: [room] };
+    }
+    const byId = state.processedData.find(r => String(r.id) === String(sourceId));
+    if (byId && (!hasValue(ref.rmnbr) || normalizeRoomNumber(byId.rmnbr) === normalizeRoomNumber(ref.rmnbr))) {
+        return { method: 'id', candidates: [byId] };
+    }
+    if (!hasValue(ref.rmnbr)) return { method: null, candidates: [] };
+    const sameNumber = state.processedData.filter(r => normalizeRoomNumber(r.rmnbr) === normalizeRoomNumber(ref.rmnbr));
+    if (hasValue(ref.building)) {
+        const building = normalizeBuildingName(ref.building);
+        const inBuilding = sameNumber.filter(r => normalizeBuildingName(r.bld_descrshort) === building || normalizeBuildingName(r.building) === building);
+        if (inBuilding.length > 0) return { method: 'building', candidates: inBuilding };
+    }
+    return { method: sameNumber.length > 0 ? 'number' : null, candidates: sameNumber };
+}
+
+// Works out where each tag set in a tags file would land, without touching state.
+// sets: [{ sourceId, ref, tags, method, candidates, roomId }] with roomId null until an ambiguous match is resolved.
+// Tags the URL policy refuses are left out of their set and listed in quarantined: [{ sourceId, ref, candidates, tag, problems }].
+function planTagImport(importData) {
+    const { byRecord } = buildRoomIdentityIndex(state.processedData);
+    const sets = [];
+    const unmatched = [];
+    const quarantined = [];
+    Object.entries(importData.customTags).forEach(([sourceId, tagsFromFile]) => {
+        if (!Array.isArray(tagsFromFile)) return;
+        const fileTags = tagsFromFile
+            .filter(tagFromFile => (typeof tagFromFile === 'string' ? tagFromFile : tagFromFile?.name || '').trim())
+            .map(createRichTagFromFile);
+        if (fileTags.length === 0) return;
+        const ref = (importData.roomReference && importData.roomReference[sourceId]) || {};
+        const { method, candidates } = matchTagImportRoom(sourceId, ref, byRecord);
+        const tags = fileTags.filter(tag => {
+            const problems = getTagUrlProblems(tag, {});
+            if (problems.length > 0) quarantined.push({ sourceId, ref, candidates, tag, problems });
+            return problems.length === 0;
+        });
+        if (tags.length === 0) return;
+        if (candidates.length === 0) unmatched.push({ sourceId, ref, tagCount: tags.length });
+        else sets.push({ sourceId, ref, tags, method, candidates, roomId: candidates.length === 1 ? String(candidates[0].id) : null });
+    });
+    return { sets, unmatched, quarantined };
+}
+
+// Quarantines the tags planTagImport held back, against the room their set was resolved to where there is one.
+function quarantineTagImport(plan, sourceName) {
+    quarantineTags(plan.quarantined.map(({ sourceId, ref, candidates, tag, problems }) => {
+        const set = plan.sets.find(s => s.sourceId === sourceId);
+        const roomId = set ? set.roomId : (candidates.length === 1 ? String(candidates[0].id) : null);
+        const roomLabel = roomId !== null ? getRoomHistoryLabel(roomId) : `${[ref.building, ref.rmnbr || sourceId].filter(Boolean).join(' ')} (no single matching room)`;
+        return { roomId, roomLabel, tag, problems };
+    }), sourceName);
+}
+
+// Tags in a set whose names already exist on its room with different details.
+function getTagImportConflicts(set) {
+    if (set.roomId === null) return [];
+    return set.tags
+        .map((incoming, tagIndex) => ({ tagIndex, incoming, existing: findCustomTagByName(set.roomId, incoming.name) }))
+        .filter(conflict => conflict.existing && !tagsHaveSameDetails(conflict.existing, conflict.incoming));
+}
+
+function getTagImportChoiceKey(setIndex, tagIndex) {
+    return `${setIndex}:${tagIndex}`;
+}
+
+// choices maps getTagImportChoiceKey(...) to 'keep', 'overwrite' or 'both'; conflicts without a choice keep the current tag.
+function applyTagImport(plan, choices) {
+    const summary = { added: 0, overwritten: 0, keptBoth: 0, keptCurrent: 0, unchanged: 0, rooms: new Set(), skippedSets: plan.unmatched.length };
+    plan.sets.forEach((set, setIndex) => {
+        if (set.roomId === null) {
+            summary.skippedSets++;
+            return;
+        }
+        set.tags.forEach((incoming, tagIndex) => {
+            const roomTags = state.customTags[set.roomId] || [];
+            const existing = findCustomTagByName(set.roomId, incoming.name);
+            const choice = choices[getTagImportChoiceKey(setIndex, tagIndex)] || 'keep';
+            if (existing && tagsHaveSameDetails(existing, incoming)) {
+                summary.unchanged++;
+                return;
+            }
+            if (existing && choice === 'keep') {
+                summary.keptCurrent++;
+                return;
+            }
+            if (existing && choice === 'overwrite') {
+                updateRichTag(existing, incoming.name, incoming.type, incoming.description, incoming.link, incoming.contact, incoming.imageUrl, incoming.color, incoming, incoming.fields);
+                summary.overwritten++;
+            } else {
+                state.customTags[set.roomId] = roomTags;
+                roomTags.push(existing ? { ...incoming, name: getUniqueTagName(roomTags, incoming.name) } : incoming);
+                if (existing) summary.keptBoth++;
+                else summary.added++;
+            }
+            summary.rooms.add(set.roomId);
+        });
+    });
+    return summary;
+}
+
+function describeTagImportSummary(summary) {
+    const parts = [`Imported ${summary.added} new tag(s) into ${summary.rooms.size} room(s)`];
+    if (summary.overwritten) parts.push(`overwrote ${summary.overwritten}`);
+    if (summary.keptBoth) parts.push(`kept both versions of ${summary.keptBoth}`);
+    if (summary.keptCurrent) parts.push(`kept ${summary.keptCurrent} current tag(s)`);
+    if (summary.unchanged) parts.push(`${summary.unchanged} already present`);
+    if (summary.skippedSets) parts.push(`skipped ${summary.skippedSets} tag set(s) with no room`);
+    return parts.join('; ') + '.';
+}
+
+// --- ENCRYPTED EXPORTS ---
+// An encrypted export wraps the normal file contents (a .umsess envelope or tags JSON) in:
+//   { type: "um_encrypted", formatVersion: 1, contentType: "session" | "tags",
+//     kdf: { name: "PBKDF2", hash: "SHA-256", iterations, salt }, cipher: { name: "AES-GCM", iv }, ciphertext }
+// with salt, iv and ciphertext base64 encoded. The header fields are bound to the ciphertext as AES-GCM
+// additional data, so changing contentType or the KDF settings is detected like any other tampering.
+
+const ENCRYPTED_EXPORT_VERSION = 1;
+const ENCRYPTION_KDF_ITERATIONS = 310000;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+function getEncryptionAdditionalData(envelope) {
+    return new TextEncoder().encode(`um_encrypted:${envelope.formatVersion}:${envelope.contentType}:${envelope.kdf.iterations}`);
+}
+
+function isEncryptedExport(parsed) {
+    return !!parsed && parsed.type === 'um_encrypted';
+}
+
+async function encryptExportText(text, passphrase, contentType) {
+    const envelope = {
+        type: 'um_encrypted',
+        formatVersion: ENCRYPTED_EXPORT_VERSION,
+        contentType,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: ENCRYPTION_KDF_ITERATIONS, salt: '' },
+        cipher: { name: 'AES-GCM', iv: '' },
+        ciphertext: ''
+    };
+    const salt = randomBytes(16);
+    const iv = randomBytes(12);
+    const key = await derivePassphraseKey(passphrase, salt, ENCRYPTION_KDF_ITERATIONS);
+    const ciphertext = await aesGcmEncrypt(key, iv, new TextEncoder().encode(text), getEncryptionAdditionalData(envelope));
+    envelope.kdf.salt = bytesToBase64(salt);
+    envelope.cipher.iv = bytesToBase64(iv);
+    envelope.ciphertext = bytesToBase64(ciphertext);
+    return JSON.stringify(envelope);
+}
+
+async function decryptExportText(envelope, passphrase) {
+    if (typeof envelope.formatVersion !== 'number' || envelope.formatVersion > ENCRYPTED_EXPORT_VERSION) {
+        throw new Error(`This file was encrypted by a newer version of the directory (format ${envelope.formatVersion}). Update the app to open it.`);
+    }
+    let salt, iv, ciphertext;
+    try {
+        if (!envelope.kdf || envelope.kdf.name !== 'PBKDF2' || envelope.kdf.hash !== 'SHA-256' || !(envelope.kdf.iterations > 0)) throw new Error('unsupported key settings');
+        if (!envelope.cipher || envelope.cipher.name !== 'AES-GCM') throw new Error('unsupported cipher');
+        salt = base64ToBytes(envelope.kdf.salt);
+        iv = base64ToBytes(envelope.cipher.iv);
+        ciphertext = base64ToBytes(envelope.ciphertext);
+    } catch (e) {
+        throw new Error(`Encrypted file is corrupt: ${e.message}`);
+    }
+    const key = await derivePassphraseKey(passphrase, salt, envelope.kdf.iterations);
+    try {
+        return new TextDecoder().decode(await aesGcmDecrypt(key, iv, ciphertext, getEncryptionAdditionalData(envelope)));
+    } catch (e) {
+        const error = new Error('Wrong passphrase, or the file has been altered since it was exported.');
+        error.name = 'WrongPassphraseError';
+        throw error;
+    }
+}
+
+// Asks for a new passphrase when export encryption is on and encrypts the contents with it.
+// Returns the contents unchanged when encryption is off, or null if the user cancels.
+async function protectExportText(text, contentType) {
+    if (!state.encryptExports) return text;
+    const passphrase = await showPassphraseModal({
+        title: 'Encrypt Export',
+        message: `Choose a passphrase (at least ${MIN_PASSPHRASE_LENGTH} characters). Anyone importing the file will need it; it cannot be recovered if lost.`,
+        confirm: true
+    });
+    if (passphrase === null) return null;
+    return encryptExportText(text, passphrase, contentType);
+}
+
+// Reads an imported session or tags file, asking for the passphrase if it is encrypted.
+// A wrong passphrase re-opens the prompt with the error; cancelling throws.
+async function readImportText(file) {
+    const text = await file.text();
+    let parsed = null;
+    try {
+        parsed = JSON.parse(text.trim());
+    } catch (e) {
+        return text; // Not plain JSON, so not an encrypted export (v1 sessions are base64)
+    }
+    if (!isEncryptedExport(parsed)) return text;
+
+    let error = '';
+    while (true) {
+        showLoading(false);
+        const passphrase = await showPassphraseModal({
+            title: 'Encrypted File',
+            message: `'${file.name}' is protected with a passphrase. Enter it to import the file.`,
+            error
+        });
+        showLoading(true);
+        if (passphrase === null) throw new Error('Passphrase not entered; the file was not imported.');
+        updateLoadingStatus(`Decrypting ${file.name}...`);
+        try {
+            return await decryptExportText(parsed, passphrase);
+        } catch (e) {
+            if (e.name !== 'WrongPassphraseError') throw e;
+            error = e.message;
+        }
+    }
+}
+
+// --- SESSION FORMAT ---
+// A v2 .umsess file is a JSON envelope:
+//   { type: "um_session", formatVersion: 2, compression: "gzip" | "none", checksum: "sha256:<hex>", created, payload }
+// where payload is base64 of the (compressed) JSON session body and the checksum covers the uncompressed body.
+// The body has the same shape as buildSessionData(). v1.x files were the body itself, base64 encoded or plain.
+
+const SESSION_FORMAT_VERSION = 2;
+
+// The working session as saved in .umsess files and the local autosave.
+function buildSessionData() {
+    return {
+        version: `${SESSION_FORMAT_VERSION}.0`, timestamp: new Date().toISOString(), type: "um_session",
+        data: {
+            processedData: state.processedData, customTags: state.customTags, tagImages: getReferencedTagImages(), staffTags: state.staffTags, occupants: state.occupants,
+            buildingColors: state.buildingColors, activeFilters: state.activeFilters, categoryTagRules: state.categoryTagRules,
+            customAbbreviationMappings: state.customAbbreviationMappings, unmappedAbbreviations: state.unmappedAbbreviations,
+            loadedFiles: state.loadedFiles,
+            availableBuildings: state.availableBuildings, availableFloors: state.availableFloors, availableTags: state.availableTags,
+            searchQuery: state.searchQuery, currentViewMode: state.currentViewMode, resultsPerPage: state.resultsPerPage
+        }
+    };
+}
+
+async function encodeSessionFile(sessionData) {
+    const bodyBytes = new TextEncoder().encode(JSON.stringify(sessionData));
+    const compression = isCompressionSupported() ? 'gzip' : 'none';
+    const payloadBytes = compression === 'gzip' ? await gzipBytes(bodyBytes) : bodyBytes;
+    return JSON.stringify({
+        type: 'um_session',
+        formatVersion: SESSION_FORMAT_VERSION,
+        compression,
+        checksum: `sha256:${await sha256Hex(bodyBytes)}`,
+        created: sessionData.timestamp,
+        payload: bytesToBase64(payloadBytes)
+    });
+}
+
+// Brings a v1.x session body up to the v2 shape. Staff tags become name-only occupant records.
+function migrateSessionV1(sessionData) {
+    const data = { ...sessionData.data };
+    if (!data.occupants) {
+        data.occupants = {};
+        Object.entries(data.staffTags || {}).forEach(([roomId, staffTags]) => {
+            staffTags.forEach(staffTag => {
+                const name = String(staffTag).replace(/^Staff: /, '').trim();
+                const key = getOccupantKey({ person_name: name });
+                if (!data.occupants[key]) data.occupants[key] = { id: key, name, title: '', email: '', phone: '', department: '', uniqname: '', roomIds: [] };
+                if (!data.occupants[key].roomIds.some(id => String(id) === String(roomId))) data.occupants[key].roomIds.push(Number(roomId));
+            });
+        });
+    }
+    return { ...sessionData, version: `${SESSION_FORMAT_VERSION}.0`, data };
+}
+
+// Decodes any supported .umsess file into a v2 session body. Throws a readable error for corrupt,
+// unrecognized or newer-version files.
+async function readSessionFile(text) {
+    let parsed;
+    try {
+        parsed = decodeSessionText(text);
+    } catch (e) {
+        throw new Error('This is not a readable session file (it may be damaged).');
+    }
+    if (!parsed || parsed.type !== 'um_session') throw new Error('Invalid session file format.');
+
+    if (parsed.formatVersion === undefined) {
+        if (!parsed.data) throw new Error('Invalid session file format.');
+        const major = parseInt(parsed.version || '1', 10);
+        if (major > 1) throw new Error(`Unsupported session version ${parsed.version}.`);
+        console.log(`🔁 Migrating session from version ${parsed.version || '1.0'}.`);
+        return migrateSessionV1(parsed);
+    }
+    if (typeof parsed.formatVersion !== 'number' || parsed.formatVersion > SESSION_FORMAT_VERSION) {
+        throw new Error(`This session was saved by a newer version of the directory (format ${parsed.formatVersion}). Update the app to open it.`);
+    }
+
+    let bodyBytes;
+    try {
+        const payloadBytes = base64ToBytes(parsed.payload || '');
+        if (parsed.compression === 'gzip') {
+            if (!isCompressionSupported()) throw new Error('This browser cannot decompress session files.');
+            bodyBytes = await gunzipBytes(payloadBytes);
+        } else if (parsed.compression === 'none') {
+            bodyBytes = payloadBytes;
+        } else {
+            throw new Error(`Unknown compression "${parsed.compression}".`);
+        }
+    } catch (e) {
+        throw new Error(`Session file is corrupt: ${e.message}`);
+    }
+    if (parsed.checksum !== `sha256:${await sha256Hex(bodyBytes)}`) {
+        throw new Error('Session file is corrupt: checksum does not match its contents.');
+    }
+    const sessionData = JSON.parse(new TextDecoder().decode(bodyBytes));
+    if (!sessionData || sessionData.type !== 'um_session' || !sessionData.data) throw new Error('Session file is corrupt: missing session data.');
+    return sessionData;
+}
+
+function hasSessionContent() {
+    return state.processedData.length > 0 || Object.keys(state.customTags).length > 0;
+}
+
+// Replaces the working state with a session's data. Rules and mappings carried by the session also become
+// this browser's saved ones, and tags the URL policy refuses are quarantined. Callers rebuild the search index.
+function applySessionData(sessionData, sourceName = 'the session') {
+    if (!sessionData || sessionData.type !== "um_session" || !sessionData.data) throw new Error("Invalid session file format.");
+    const data = sessionData.data;
+    const unsafeTags = takeUnsafeTags(data.customTags, data.tagImages);
+    state.processedData = data.processedData || [];
+    state.reimportSummary = null;
+    state.customTags = data.customTags || {};
+    state.tagImages = data.tagImages || {};
+    state.quarantinedTags = [];
+    quarantineTags(unsafeTags.map(({ sourceRoomId, tag, problems }) => {
+        const room = state.processedData.find(r => String(r.id) === String(sourceRoomId));
+        return { roomId: room ? String(room.id) : null, roomLabel: getRoomHistoryLabel(sourceRoomId), tag, problems };
+    }), sourceName);
+    state.staffTags = data.staffTags || {};
+    state.occupants = data.occupants || {};
+    state.buildingColors = data.buildingColors || {};
+    if (Array.isArray(data.categoryTagRules)) {
+        state.categoryTagRules = data.categoryTagRules;
+        persistCategoryTagRules();
+    }
+    if (data.customAbbreviationMappings && typeof data.customAbbreviationMappings === 'object') {
+        state.customAbbreviationMappings = data.customAbbreviationMappings;
+        saveAbbreviationMappings();
+    }
+    state.unmappedAbbreviations = data.unmappedAbbreviations || {};
+    state.loadedFiles = data.loadedFiles || [];
+    state.activeFilters = data.activeFilters || { building: '', floor: '', tags: [] };
+    state.searchQuery = data.searchQuery || '';
+    state.currentViewMode = data.currentViewMode || 'desktop';
+    state.resultsPerPage = data.resultsPerPage || 10;
+    state.currentPage = 1;
+
+    rebuildAvailableFilters();
+    if (Array.isArray(data.availableBuildings)) state.availableBuildings = data.availableBuildings;
+    if (Array.isArray(data.availableFloors)) state.availableFloors = data.availableFloors;
+    if (Array.isArray(data.availableTags)) state.availableTags = data.availableTags;
+
+    if (elements.searchInput) elements.searchInput.value = state.searchQuery;
+    if (elements.searchInputMobile) elements.searchInputMobile.value = state.searchQuery;
+}
+
+async function exportSession() {
+    if (!hasSessionContent()) {
+        addError("No session data to export.");
+        return;
+    }
+    try {
+        const fileContents = await protectExportText(await encodeSessionFile(buildSessionData()), 'session');
+        if (fileContents === null) return;
+        downloadFile(fileContents, `hospital_directory_session_${new Date().toISOString().split('T')[0]}.umsess`, 'application/octet-stream');
+        console.log(`📦 Session exported.`);
+    } catch (error) {
+        addError("Error preparing session data for export: " + error.message);
+        console.error("Session export error:", error);
+    }
+}
+
+async function importSession(file) {
+    showLoading(true);
+    setProcessingState(true, elements.processingIndicator);
+    clearErrors();
+    try {
+        const sessionData = await readSessionFile(await readImportText(file));
+        if (state.mergeSessions && hasSessionContent()) {
+            const summary = await mergeSessionData(sessionData, file.name);
+            state.loadedFiles.push({ name: file.name, type: 'session', status: 'merged' });
+            await createSearchIndex();
+            console.log(`🔀 Session '${file.name}' merged: ${describeMergeSummary(summary)}.`);
+        } else {
+            applySessionData(sessionData, file.name);
+            state.loadedFiles.push({ name: file.name, type: 'session', status: 'processed' });
+            await createSearchIndex();
+            console.log(`✅ Session restored.`);
+            addError(`Session '${file.name}' loaded successfully.`);
+        }
+        const photoStatus = getTagImageBudgetStatus();
+        if (photoStatus.warning) addError(`${photoStatus.message}. Remove photos from tags you no longer need before adding more.`);
+    } catch (e) {
+        if (e.name === 'AbortError') throw e;
+        addError(`Session Import Error (${file.name}): ${e.message}`);
+        console.error(e);
+    } finally {
+        showLoading(false);
+        setProcessingState(false, elements.processingIndicator);
+    }
+}
+
+// --- SESSION MERGE ---
+// Merge mode combines an imported session with the current workspace instead of replacing it. Rooms are
+// unified by identity (rmrecnbr, then building + room number), tag lists are combined per room, and tags
+// whose names collide but whose details differ are resolved one at a time in the merge conflict modal.
+// Category rules, abbreviation mappings and view settings stay as they are in this workspace.
+
+const mergedTagFields = ['type', 'description', 'link', 'contact', 'imageUrl', 'imageId', 'color', 'author', 'reviewed', 'expires'];
+
+function tagsHaveSameDetails(a, b) {
+    return mergedTagFields.every(field => String(a[field] ?? '') === String(b[field] ?? '')) &&
+        JSON.stringify(a.fields || {}) === JSON.stringify(b.fields || {});
+}
+
+function getUniqueTagName(tags, name) {
+    let n = 2;
+    while (tags.some(t => t.name === `${name} (${n})`)) n++;
+    return `${name} (${n})`;
+}
+
+// Works out what merging `data` (a session body's data) would change, without touching state.
+function planSessionMerge(data) {
+    const index = buildRoomIdentityIndex(state.processedData);
+    const roomIdMap = new Map(); // incoming room id -> id in this workspace
+    const newRooms = [];
+    let matchedRooms = 0;
+    let nextId = getNextRoomId();
+    (data.processedData || []).forEach(room => {
+        const existing = findRoomByIdentity(index, room);
+        if (existing) {
+            roomIdMap.set(String(room.id), existing.id);
+            matchedRooms++;
+            return;
+        }
+        const added = { ...room, id: nextId++ };
+        roomIdMap.set(String(room.id), added.id);
+        newRooms.push(added);
+    });
+
+    const tagAdditions = [];
+    const conflicts = [];
+    let unchangedTags = 0;
+    let orphanedTags = 0;
+    Object.entries(data.customTags || {}).forEach(([incomingRoomId, tags]) => {
+        if (!Array.isArray(tags)) return;
+        const roomId = roomIdMap.get(String(incomingRoomId));
+        if (roomId === undefined) {
+            orphanedTags += tags.length;
+            return;
+        }
+        const room = state.processedData.find(r => r.id === roomId) || newRooms.find(r => r.id === roomId);
+        tags.forEach(tag => {
+            const name = String(tag.name ?? '').trim().toLowerCase();
+            const existing = findCustomTagByName(roomId, name);
+            if (!existing) {
+                if (!tagAdditions.some(a => a.roomId === roomId && String(a.tag.name ?? '').trim().toLowerCase() === name)) tagAdditions.push({ roomId, tag });
+            } else if (tagsHaveSameDetails(existing, tag)) {
+                unchangedTags++;
+            } else {
+                conflicts.push({ roomId, room, existing, incoming: tag });
+            }
+        });
+    });
+    return { roomIdMap, newRooms, matchedRooms, tagAdditions, conflicts, unchangedTags, orphanedTags };
+}
+
+// Merges a session into the workspace and returns a summary of what changed. Conflicting tags are put to
+// the user first; cancelling the conflict modal throws before anything is changed. Tags the URL policy refuses
+// are quarantined instead of merged. Callers rebuild the search index.
+async function mergeSessionData(sessionData, sourceName = 'the session') {
+    if (!sessionData || sessionData.type !== "um_session" || !sessionData.data) throw new Error("Invalid session file format.");
+    const data = sessionData.data;
+    const unsafeTags = takeUnsafeTags(data.customTags, data.tagImages);
+    const plan = planSessionMerge(data);
+
+    const choices = [];
+    let choiceForRemaining = null;
+    for (let i = 0; i < plan.conflicts.length; i++) {
+        if (choiceForRemaining) {
+            choices.push(choiceForRemaining);
+            continue;
+        }
+        showLoading(false);
+        const answer = await showMergeConflictModal(plan.conflicts[i], i, plan.conflicts.length);
+        showLoading(true);
+        if (!answer) throw new Error('Merge cancelled; the workspace was not changed.');
+        choices.push(answer.choice);
+        if (answer.applyToRemaining) choiceForRemaining = answer.choice;
+    }
+
+    const summary = {
+        roomsAdded: plan.newRooms.length, roomsMatched: plan.matchedRooms,
+        tagsAdded: plan.tagAdditions.length, tagsUnchanged: plan.unchangedTags, tagsSkipped: plan.orphanedTags,
+        conflicts: plan.conflicts.length, conflictsKept: 0, conflictsReplaced: 0, conflictsKeptBoth: 0, peopleAdded: 0
+    };
+
+    state.processedData = state.processedData.concat(plan.newRooms);
+    plan.tagAdditions.forEach(({ roomId, tag }) => {
+        if (!state.customTags[roomId]) state.customTags[roomId] = [];
+        state.customTags[roomId].push({ ...tag });
+    });
+    plan.conflicts.forEach((conflict, i) => {
+        const tags = state.customTags[conflict.roomId];
+        if (choices[i] === 'incoming') {
+            tags[tags.indexOf(conflict.existing)] = { ...conflict.incoming };
+            summary.conflictsReplaced++;
+        } else if (choices[i] === 'both') {
+            tags.push({ ...conflict.incoming, id: Date.now() + Math.random().toString(36).substring(2, 9), name: getUniqueTagName(tags, conflict.incoming.name) });
+            summary.conflictsKeptBoth++;
+        } else {
+            summary.conflictsKept++;
+        }
+    });
+    Object.entries(data.tagImages || {}).forEach(([imageId, image]) => { if (!state.tagImages[imageId]) state.tagImages[imageId] = image; });
+    quarantineTags(unsafeTags.map(({ sourceRoomId, tag, problems }) => {
+        const roomId = plan.roomIdMap.get(String(sourceRoomId));
+        return { roomId: roomId !== undefined ? String(roomId) : null, roomLabel: roomId !== undefined ? getRoomHistoryLabel(roomId) : 'a room not in the file', tag, problems };
+    }), sourceName);
+    pruneUnusedTagImages();
+
+    Object.values(data.occupants || {}).forEach(occ => {
+        const person = { ...occ, person_name: occ.name };
+        if (!state.occupants[getOccupantKey(person)]) summary.peopleAdded++;
+        const occupant = upsertOccupant(person);
+        (occ.roomIds || []).forEach(incomingRoomId => {
+            const roomId = plan.roomIdMap.get(String(incomingRoomId));
+            if (roomId !== undefined && !occupant.roomIds.some(id => String(id) === String(roomId))) occupant.roomIds.push(roomId);
+        });
+    });
+    Object.entries(data.staffTags || {}).forEach(([incomingRoomId, staffTags]) => {
+        const roomId = plan.roomIdMap.get(String(incomingRoomId));
+        if (roomId === undefined || !Array.isArray(staffTags)) return;
+        state.staffTags[roomId] = [...new Set([...(state.staffTags[roomId] || []), ...staffTags])];
+    });
+
+    Object.entries(data.buildingColors || {}).forEach(([building, color]) => {
+        if (!state.buildingColors[building]) state.buildingColors[building] = color;
+    });
+    assignMissingBuildingColors([...new Set(plan.newRooms.map(r => r.building))]);
+    state.unmappedAbbreviations = { ...(data.unmappedAbbreviations || {}), ...state.unmappedAbbreviations };
+    rebuildAvailableFilters();
+    state.currentPage = 1;
+    return summary;
+}
+
+function describeMergeSummary(summary) {
+    const parts = [
+        `${summary.roomsAdded} rooms added, ${summary.roomsMatched} matched`,
+        `${summary.tagsAdded} tags added, ${summary.tagsUnchanged} already present`
+    ];
+    if (summary.conflicts > 0) parts.push(`${summary.conflicts} tag conflicts (${summary.conflictsReplaced} updated from the file, ${summary.conflictsKept} kept as they were, ${summary.conflictsKeptBoth} kept both)`);
+    if (summary.peopleAdded > 0) parts.push(`${summary.peopleAdded} people added`);
+    if (summary.tagsSkipped > 0) parts.push(`${summary.tagsSkipped} tags skipped (their rooms are not in the file)`);
+    return parts.join('; ');
+}
+
+// --- LOCAL PERSISTENCE ---
+// The working session is autosaved to IndexedDB (debounced, after results refresh) and offered for restore
+// on the next load. Shared workstations can turn this off; turning it off deletes the saved copy.
+
+const WORKSPACE_DB_NAME = 'hospitalDirectory';
+const WORKSPACE_STORE = 'workspace';
+const WORKSPACE_RECORD_KEY = 'current';
+const PERSISTENCE_SETTING_KEY = 'hospitalDirectoryPersistence';
+const AUTOSAVE_DELAY_MS = 1500;
+
+let workspaceDbPromise = null;
+let autosaveTimer = null;
+
+function isPersistenceAvailable() {
+    return typeof indexedDB !== 'undefined';
+}
+
+function loadPersistenceSetting() {
+    state.persistenceEnabled = localStorage.getItem(PERSISTENCE_SETTING_KEY) !== 'off';
+}
+
+function openWorkspaceDb() {
+    if (!workspaceDbPromise) {
+        workspaceDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(WORKSPACE_DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(WORKSPACE_STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch(e => {
+            workspaceDbPromise = null;
+            throw e;
+        });
+    }
+    return workspaceDbPromise;
+}
+
+// Runs one request against the workspace store and resolves with its result.
+async function runWorkspaceStoreRequest(mode, makeRequest) {
+    const db = await openWorkspaceDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(WORKSPACE_STORE, mode);
+        const request = makeRequest(tx.objectStore(WORKSPACE_STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+function loadSavedWorkspace() {
+    return runWorkspaceStoreRequest('readonly', store => store.get(WORKSPACE_RECORD_KEY));
+}
+
+function deleteSavedWorkspace() {
+    return runWorkspaceStoreRequest('readwrite', store => store.delete(WORKSPACE_RECORD_KEY));
+}
+
+async function saveWorkspaceNow() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    if (!state.persistenceEnabled || !isPersistenceAvailable() || state.workspaceRestorePending) return;
+    try {
+        if (!hasSessionContent()) {
+            await deleteSavedWorkspace();
+            return;
+        }
+        await runWorkspaceStoreRequest('readwrite', store => store.put(buildSessionData(), WORKSPACE_RECORD_KEY));
+        state.lastAutosave = new Date().toISOString();
+        updatePersistenceStatus(); // Direct call to ui.js function
+    } catch (e) {
+        console.warn('Autosave failed:', e);
+    }
+}
+
+// Called whenever results are refreshed, which follows every change to rooms, tags or filters.
+function scheduleAutosave() {
+    if (!state.persistenceEnabled || !isPersistenceAvailable()) return;
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(() => {
+        if (state.isProcessing) scheduleAutosave(); // Wait for the running import to finish
+        else saveWorkspaceNow();
+    }, AUTOSAVE_DELAY_MS);
+}
+
+// Returns the saved session if there is one to offer for restore, otherwise null.
+async function findRestorableWorkspace() {
+    if (!state.persistenceEnabled || !isPersistenceAvailable()) return null;
+    try {
+        const saved = await loadSavedWorkspace();
+        return saved && saved.data && ((saved.data.processedData || []).length > 0 || Object.keys(saved.data.customTags || {}).length > 0) ? saved : null;
+    } catch (e) {
+        console.warn('Could not read the saved session:', e);
+        return null;
+    }
+}
+
+async function restoreSavedWorkspace(saved) {
+    showLoading(true);
+    setProcessingState(true, elements.processingIndicator);
+    try {
+        updateLoadingStatus('Restoring your previous session...');
+        recordHistory('Restore saved session');
+        applySessionData(saved);
+        await createSearchIndex();
+        updateFilesListUI(); // Direct call to ui.js function
+        updateDataSummary(); // Direct call to ui.js function
+        await updateUI();      // Direct call to ui.js function
+        if (state.processedData.length > 0) {
+            enableDependentFeatures(); // Direct call to ui.js function
+            updateUploadAreaState(); // Direct call to ui.js function
+        }
+        console.log(`✅ Restored session saved ${saved.timestamp}.`);
+    } catch (e) {
+        addError(`Could not restore the saved session: ${e.message}`);
+        console.error(e);
+    } finally {
+        showLoading(false);
+        setProcessingState(false, elements.processingIndicator);
+    }
+}
+
+async function setPersistenceEnabled(enabled) {
+    state.persistenceEnabled = enabled;
+    localStorage.setItem(PERSISTENCE_SETTING_KEY, enabled ? 'on' : 'off');
+    if (enabled) {
+        await saveWorkspaceNow();
+    } else {
+        clearTimeout(autosaveTimer);
+        if (isPersistenceAvailable()) await deleteSavedWorkspace().catch(e => console.warn('Could not delete the saved session:', e));
+        state.lastAutosave = null;
+    }
+    updatePersistenceStatus(); // Direct call to ui.js function
+}
+
+// Removes everything this app keeps in the browser: the autosaved session and all hospitalDirectory* settings
+// (column mappings, abbreviation mappings, tag rules, occupant assignments). The open session is untouched.
+async function clearLocalData() {
+    clearTimeout(autosaveTimer);
+    if (isPersistenceAvailable()) {
+        try {
+            await deleteSavedWorkspace();
+        } catch (e) {
+            console.warn('Could not delete the saved session:', e);
+        }
+    }
+    const persistenceSetting = localStorage.getItem(PERSISTENCE_SETTING_KEY);
+    Object.keys(localStorage).filter(key => key.startsWith('hospitalDirectory')).forEach(key => localStorage.removeItem(key));
+    if (persistenceSetting) localStorage.setItem(PERSISTENCE_SETTING_KEY, persistenceSetting);
+    state.lastAutosave = null;
+    updatePersistenceStatus('Local data cleared from this browser. The open session is unchanged and will be saved again if autosave is on.'); // Direct call to ui.js function
+}
+
+// --- DATASET COMPARISON ---
+
+const datasetDiffFields = [
+    { key: 'typeFull', label: 'Type' },
+    { key: 'dept_descr', label: 'Department' },
+    { key: 'floor', label: 'Floor' }
+];
+
+// Compares two room lists by identity (rmrecnbr, then building + rmnbr).
+// Returns [{ change: 'added'|'removed'|'changed', building, room, changes: [{ field, from, to }] }].
+function computeDatasetDiff(beforeRooms, afterRooms) {
+    const afterIndex = buildRoomIdentityIndex(afterRooms);
+    const matchedAfter = new Set();
+    const entries = [];
+
+    beforeRooms.forEach(before => {
+        const after = findRoomByIdentity(afterIndex, before);
+        if (!after || matchedAfter.has(after)) {
+            entries.push({ change: 'removed', building: before.building || before.bld_descrshort || 'Unknown Building', room: before, changes: [] });
+            return;
+        }
+        matchedAfter.add(after);
+        const changes = datasetDiffFields
+            .filter(f => String(before[f.key] ?? '') !== String(after[f.key] ?? ''))
+            .map(f => ({ field: f.label, from: before[f.key] ?? '', to: after[f.key] ?? '' }));
+        if (changes.length > 0) entries.push({ change: 'changed', building: after.building || 'Unknown Building', room: after, changes });
+    });
+    afterRooms.forEach(after => {
+        if (!matchedAfter.has(after)) entries.push({ change: 'added', building: after.building || 'Unknown Building', room: after, changes: [] });
+    });
+    return entries;
+}
+
+// Reads a comparison file into normalized rooms without touching the loaded workspace.
+async function readComparisonRooms(file) {
+    const input = await classifyFile(file);
+    if (input.format === 'json') {
+        const text = await readImportText(file);
+        if (decodeSessionText(text).type !== 'um_session') throw new Error('Only session files (.umsess) can be compared.');
+        const sessionData = await readSessionFile(text);
+        return { rooms: sessionData.data.processedData || [], isPreviousDrop: true };
+    }
+    if (input.format !== 'spreadsheet') throw new Error('Unsupported file type for comparison.');
+    if (input.kind === 'occupant') throw new Error('This looks like an occupant file; choose a room data export.');
+
+    let rows = [];
+    const sheets = (await selectSheets(file, input.sheets)).filter(sheet => sheet.included);
+    for (const sheet of sheets) {
+        rows = rows.concat(await mapColumns(sheet.rows, roomFieldDefinitions, 'room', getSheetLabel(file.name, sheet.sheetName)));
+    }
+    updateLoadingStatus('Normalizing rooms...');
+    const { rooms } = await runImportTask('normalizeRooms', { rows }, getNormalizationStateSync());
+    return { rooms, isPreviousDrop: false };
+}
+
+// A spreadsheet is treated as the newer drop; a session file as the older one.
+async function compareDatasetWithFile(file) {
+    if (state.processedData.length === 0) {
+        addError('Load room data before comparing datasets.');
+        return;
+    }
+    state.importAbortController = new AbortController();
+    showLoading(true);
+    setProcessingState(true, elements.processingIndicator);
+    clearErrors();
+    try {
+        updateLoadingStatus(`Comparing with ${file.name}...`);
+        const { rooms, isPreviousDrop } = await readComparisonRooms(file);
+        const entries = isPreviousDrop ? computeDatasetDiff(rooms, state.processedData) : computeDatasetDiff(state.processedData, rooms);
+        state.datasetDiff = {
+            fromLabel: isPreviousDrop ? file.name : 'Loaded dataset',
+            toLabel: isPreviousDrop ? 'Loaded dataset' : file.name,
+            generated: new Date().toISOString(),
+            entries
+        };
+        showDatasetDiffModal(); // Direct call to app.js function
+    } catch (e) {
+        if (e.name === 'AbortError') {
+            addError('Comparison cancelled.');
+        } else {
+            addError(`Comparison Error (${file.name}): ${e.message}`);
+            console.error(e);
+        }
+    } finally {
+        state.importAbortController = null;
+        showLoading(false);
+        setProcessingState(false, elements.processingIndicator);
+    }
+}
+
+function exportDatasetDiffCsv() {
+    if (!state.datasetDiff || state.datasetDiff.entries.length === 0) {
+        addError('No dataset changes to export.');
+        return;
+    }
+    const rows = [];
+    state.datasetDiff.entries.forEach(entry => {
+        const base = { change: entry.change, building: entry.building, rmnbr: entry.room.rmnbr, rmrecnbr: entry.room.rmrecnbr ?? '', floor: entry.room.floor ?? '', type: entry.room.typeFull || '', department: entry.room.dept_descr || '' };
+        if (entry.changes.length === 0) rows.push({ ...base, field: '', from: '', to: '' });
+        else entry.changes.forEach(c => rows.push({ ...base, field: c.field, from: c.from, to: c.to }));
+    });
+    rows.sort((a, b) => String(a.building).localeCompare(String(b.building)) || String(a.rmnbr).localeCompare(String(b.rmnbr), undefined, { numeric: true }));
+    downloadFile(Papa.unparse(rows, { escapeFormulae: true }), `dataset_changes_${new Date().toISOString().split('T')[0]}.csv`, 'text/csv');
 }
 
-async function parseFile(file) {
-    const fileType = file.name.split('.').pop().toLowerCase();
-    updateLoadingStatus(`Parsing ${file.name}...`);
-    if (fileType === 'csv') {
-        const text = await file.text();
-        return Papa.parse(text, { header: true, skipEmptyLines: true, dynamicTyping: true }).data;
-    } else if (['xlsx', 'xls'].includes(fileType)) {
-        const ab = await file.arrayBuffer();
-        const wb = XLSX.read(ab);
-        return XLSX.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]]);
+// --- IMPORT REPORT ---
+
+// Rejected rows that were later placed by hand (see OCCUPANT RESOLVER) no longer count as rejected.
+function getOpenRejections(entry) {
+    return (entry.rejected || []).filter(item => !item.resolved);
+}
+
+function getRejectedRowEntries() {
+    return state.loadedFiles.filter(f => getOpenRejections(f).length > 0);
+}
+
+// One CSV row per rejected input row: where it came from, why it was rejected, then its original columns.
+function exportRejectedRowsCsv() {
+    const entries = getRejectedRowEntries();
+    if (entries.length === 0) {
+        addError('No rejected rows to export.');
+        return;
     }
-    throw new Error('Unsupported file type for parsing.');
+    const columns = [];
+    entries.forEach(f => getOpenRejections(f).forEach(({ row }) => Object.keys(row).forEach(k => { if (!columns.includes(k)) columns.push(k); })));
+    const data = [];
+    entries.forEach(f => getOpenRejections(f).forEach(({ row, reason }) => {
+        data.push([f.name, f.sheet || '', f.type, reason, ...columns.map(k => row[k] ?? '')]);
+    }));
+    downloadFile(Papa.unparse({ fields: ['source_file', 'source_sheet', 'import_type', 'reason', ...columns], data }, { escapeFormulae: true }), `rejected_rows_${new Date().toISOString().split('T')[0]}.csv`, 'text/csv');
 }
 
-async function processRoomData(data) {
-    updateLoadingStatus('Processing room data...');
-    const processed = [];
-    const unmapped = {};
-    const buildings = new Set();
-    const floors = new Set();
-    const tags = new Set();
-    let uniqueIdCounter = state.processedData.length;
+// --- OCCUPANT RESOLVER ---
+// Occupant rows that matched no room stay in their file's rejected list (flagged `unmatched`) until they are
+// assigned by hand or dismissed. Manual assignments are remembered so the same row matches on future imports.
 
-    data.forEach((row) => {
-        if (!row.rmnbr || typeof row.floor === 'undefined' || row.floor === null) {
-             console.warn('Skipping row due to missing rmnbr or floor:', row);
-             return;
-        }
+const OCCUPANT_ASSIGNMENTS_STORAGE_KEY = 'hospitalDirectoryOccupantAssignments';
 
-        const building = row.bld_descrshort || 'Unknown Building';
-        buildings.add(building);
+function getOccupantAssignmentKey(occ) {
+    return `${getOccupantKey(occ)}|${occ.rmrecnbr ?? ''}|${getRoomLocationKey(occ.bld_descrshort, occ.rmnbr)}`;
+}
 
-        const type = normalizeAbbreviation(row.rmtyp_descrshort, unmapped);
-        const sub = normalizeAbbreviation(row.rmsubtyp_descrshort, unmapped);
-        let full = type;
-        if (sub && type !== sub) {
-            full = `${type} - ${sub}`;
-        }
-        if (fullReplacements[`${type} ${sub}`.trim()]) {
-            full = fullReplacements[`${type} ${sub}`.trim()];
-        } else if (type === sub) {
-            full = type;
-        }
+function loadOccupantAssignments() {
+    try {
+        return JSON.parse(localStorage.getItem(OCCUPANT_ASSIGNMENTS_STORAGE_KEY)) || {};
+    } catch (e) {
+        console.warn('Could not read saved occupant assignments:', e);
+        return {};
+    }
+}
 
-        const rowTags = generateTags(full, row.dept_descr);
-        rowTags.forEach(t => tags.add(t));
-        floors.add(row.floor.toString());
+function saveOccupantAssignment(occ, room) {
+    const assignments = loadOccupantAssignments();
+    assignments[getOccupantAssignmentKey(occ)] = { rmrecnbr: room.rmrecnbr ?? '', building: room.building, rmnbr: room.rmnbr };
+    localStorage.setItem(OCCUPANT_ASSIGNMENTS_STORAGE_KEY, JSON.stringify(assignments));
+}
 
-        processed.push({
-            ...row,
-            id: uniqueIdCounter++,
-            typeFull: full,
-            tags: rowTags,
-            mgisLink: generateMgisLink(row),
-            building: building
+// Returns [{ id: 'fileIndex:itemIndex', source, row, reason }] for every occupant still waiting to be placed.
+function getUnmatchedOccupants() {
+    const unmatched = [];
+    state.loadedFiles.forEach((entry, fileIndex) => {
+        (entry.rejected || []).forEach((item, itemIndex) => {
+            if (item.unmatched && !item.resolved && !item.dismissed) {
+                unmatched.push({ id: `${fileIndex}:${itemIndex}`, source: getSheetLabel(entry.name, entry.sheet), row: item.row, reason: item.reason });
+            }
         });
     });
+    return unmatched;
+}
 
-    const buildingsArray = Array.from(buildings);
-    buildingsArray.forEach((b, index) => {
-        if (!state.buildingColors[b]) {
-            state.buildingColors[b] = assignBuildingColor(b, Object.keys(state.buildingColors).length); // Direct call to ui.js function
-        }
-    });
-
-    state.processedData = state.processedData.concat(processed);
-    state.unmappedAbbreviations = { ...state.unmappedAbbreviations, ...unmapped };
+function getUnmatchedOccupantItem(id) {
+    const [fileIndex, itemIndex] = id.split(':').map(Number);
+    const entry = state.loadedFiles[fileIndex];
+    return entry && entry.rejected ? entry.rejected[itemIndex] : null;
+}
 
-    state.availableBuildings = [...new Set([...state.availableBuildings, ...buildingsArray])].sort();
-    state.availableFloors = [...new Set([...state.availableFloors, ...Array.from(floors)])].sort((a, b) => Number(a) - Number(b));
-    state.availableTags = [...new Set([...state.availableTags, ...Array.from(tags)])].sort();
-    state.currentPage = 1;
+// Rooms whose building, number, type or department contain every word of the query, best matches first.
+function searchRoomsForAssignment(query, limit = 20) {
+    const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return [];
+    return state.processedData
+        .map(room => {
+            const haystack = `${room.building} ${room.rmnbr} ${room.typeFull} ${room.dept_descr || ''}`.toLowerCase();
+            const roomNumber = normalizeRoomNumber(room.rmnbr);
+            const matchesAll = words.every(w => haystack.includes(w) || roomNumber === normalizeRoomNumber(w));
+            const exactNumber = words.some(w => roomNumber === normalizeRoomNumber(w));
+            return matchesAll ? { room, score: exactNumber ? 0 : 1 } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.score - b.score || String(a.room.rmnbr).localeCompare(String(b.room.rmnbr), undefined, { numeric: true }))
+        .slice(0, limit)
+        .map(result => result.room);
+}
 
-    updateLoadingStatus('Creating search index...');
+async function assignUnmatchedOccupant(id, roomId) {
+    const item = getUnmatchedOccupantItem(id);
+    const room = state.processedData.find(r => String(r.id) === String(roomId));
+    if (!item || !room) return;
+    recordHistory(`Assign ${String(item.row.person_name).trim()} to ${getRoomHistoryLabel(room.id)}`);
+    attachOccupantToRoom(item.row, room);
+    saveOccupantAssignment(item.row, room);
+    item.resolved = true;
+    item.resolvedRoomId = room.id;
     await createSearchIndex();
+    updateFilesListUI(); // Direct call to ui.js function
+    await updateResults(); // Direct call to ui.js function
 }
 
-async function processOccupantData(data) {
-    updateLoadingStatus('Processing occupant data...');
-    data.forEach(occ => {
-        if (!occ.rmrecnbr || !occ.person_name) return;
-        const room = state.processedData.find(r => String(r.rmrecnbr) === String(occ.rmrecnbr));
-        if (room) {
-            if (!state.staffTags[room.id]) {
-                state.staffTags[room.id] = [];
-            }
-            const staffTag = `Staff: ${occ.person_name.trim()}`;
-            if (!state.staffTags[room.id].includes(staffTag)) {
-                state.staffTags[room.id].push(staffTag);
-            }
-        }
+// Hides the row from the resolver; it stays in the import report.
+function dismissUnmatchedOccupant(id) {
+    const item = getUnmatchedOccupantItem(id);
+    if (item) item.dismissed = true;
+    updateFilesListUI(); // Direct call to ui.js function
+}
+
+// --- ABBREVIATION MAPPINGS ---
+// Team-defined expansions for room type codes missing from abbreviationMap. They take precedence over
+// the built-in map (see normalizeAbbreviation) and are kept in localStorage.
+
+const ABBREVIATION_MAPPINGS_STORAGE_KEY = 'hospitalDirectoryAbbreviationMappings';
+
+function loadAbbreviationMappings() {
+    try {
+        state.customAbbreviationMappings = JSON.parse(localStorage.getItem(ABBREVIATION_MAPPINGS_STORAGE_KEY)) || {};
+    } catch (e) {
+        console.warn('Could not read saved abbreviation mappings:', e);
+        state.customAbbreviationMappings = {};
+    }
+}
+
+function saveAbbreviationMappings() {
+    localStorage.setItem(ABBREVIATION_MAPPINGS_STORAGE_KEY, JSON.stringify(state.customAbbreviationMappings));
+}
+
+// Lists every room type code that has no built-in expansion, plus every custom-mapped code, most used first.
+// Each entry: { abbr, count, expansion, examples (up to 3 rooms) }.
+function getAbbreviationUsage() {
+    const usage = {};
+    const track = (abbr, room) => {
+        if (!abbr || /^\s*$/.test(abbr)) return;
+        const isCustom = !!state.customAbbreviationMappings[abbr];
+        if (!isCustom && abbreviationMap[abbr]) return;
+        if (!usage[abbr]) usage[abbr] = { abbr, count: 0, expansion: state.customAbbreviationMappings[abbr] || '', examples: [] };
+        usage[abbr].count++;
+        if (usage[abbr].examples.length < 3) usage[abbr].examples.push(room);
+    };
+    state.processedData.forEach(room => {
+        track(room.rmtyp_descrshort, room);
+        if (room.rmsubtyp_descrshort !== room.rmtyp_descrshort) track(room.rmsubtyp_descrshort, room);
     });
-    state.currentPage = 1;
+    Object.keys(state.customAbbreviationMappings).forEach(abbr => {
+        if (!usage[abbr]) usage[abbr] = { abbr, count: 0, expansion: state.customAbbreviationMappings[abbr], examples: [] };
+    });
+    return Object.values(usage).sort((a, b) => b.count - a.count || a.abbr.localeCompare(b.abbr));
+}
+
+// Recomputes typeFull and category tags for every loaded room from its raw type codes.
+async function renormalizeRoomTypes() {
+    const unmapped = {};
+    state.processedData.forEach(room => {
+        room.typeFull = buildRoomTypeFull(room, unmapped);
+        room.tags = generateTags(room.typeFull, room.dept_descr);
+    });
+    state.unmappedAbbreviations = unmapped;
+    rebuildAvailableFilters();
+    state.activeFilters.tags = state.activeFilters.tags.filter(tag => state.availableTags.includes(tag));
     await createSearchIndex();
+    await updateUI(); // Direct call to ui.js function
 }
 
-async function processRoomDataFiles(files) {
-    let allRoomData = [];
-    for (const file of files) {
-        try {
-            const data = await parseFile(file);
-            allRoomData = allRoomData.concat(data);
-            state.loadedFiles.push({ name: file.name, type: 'room', rows: data.length, status: 'processed' });
-        } catch (e) {
-            addError(`Room Data Error (${file.name}): ${e.message}`);
-            state.loadedFiles.push({ name: file.name, type: 'room', status: 'error', message: e.message });
-        }
-    }
-    if (allRoomData.length > 0) {
-        await processRoomData(allRoomData);
-    }
+// An empty expansion removes the mapping.
+async function setAbbreviationMapping(abbr, expansion) {
+    const value = (expansion || '').trim();
+    recordHistory(value ? `Map abbreviation "${abbr}" to "${value}"` : `Remove abbreviation mapping "${abbr}"`, 'normalization');
+    if (value) state.customAbbreviationMappings[abbr] = value;
+    else delete state.customAbbreviationMappings[abbr];
+    saveAbbreviationMappings();
+    await renormalizeRoomTypes();
 }
 
-async function processOccupantDataFiles(files) {
-    let allOccupantData = [];
-    for (const file of files) {
-        try {
-            const data = await parseFile(file);
-            allOccupantData = allOccupantData.concat(data);
-            state.loadedFiles.push({ name: file.name, type: 'occupant', rows: data.length, status: 'processed' });
-        } catch (e) {
-            addError(`Occupant Data Error (${file.name}): ${e.message}`);
-            state.loadedFiles.push({ name: file.name, type: 'occupant', status: 'error', message: e.message });
-        }
+function exportAbbreviationMappings() {
+    if (Object.keys(state.customAbbreviationMappings).length === 0) {
+        addError('No abbreviation mappings to export.');
+        return;
     }
-    if (allOccupantData.length > 0) {
-        await processOccupantData(allOccupantData);
+    const exportData = {
+        type: 'um_abbreviation_mappings',
+        version: '1.0',
+        timestamp: new Date().toISOString(),
+        mappings: state.customAbbreviationMappings
+    };
+    downloadFile(JSON.stringify(exportData, null, 2), `abbreviation_mappings_${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+}
+
+// Accepts an exported mappings file or a plain { code: expansion } object. Imported entries win over existing ones.
+// Returns how many mappings were imported (0 if the file couldn't be used).
+async function importAbbreviationMappings(file) {
+    try {
+        const parsed = JSON.parse(await file.text());
+        const mappings = parsed && parsed.type === 'um_abbreviation_mappings' ? parsed.mappings : parsed;
+        if (!mappings || typeof mappings !== 'object' || Array.isArray(mappings)) throw new Error('File does not contain abbreviation mappings.');
+        const entries = Object.entries(mappings).filter(([abbr, expansion]) => abbr && typeof expansion === 'string' && expansion.trim());
+        if (entries.length === 0) throw new Error('File does not contain any mappings.');
+        recordHistory(`Import abbreviation mappings from '${file.name}'`, 'normalization');
+        entries.forEach(([abbr, expansion]) => { state.customAbbreviationMappings[abbr] = expansion.trim(); });
+        saveAbbreviationMappings();
+        await renormalizeRoomTypes();
+        console.log(`✅ Imported ${entries.length} abbreviation mappings from '${file.name}'.`);
+        return entries.length;
+    } catch (e) {
+        addError(`Abbreviation Import Error (${file.name}): ${e.message}`);
+        console.error(e);
+        return 0;
     }
 }
 
-async function handleFiles(files) {
-    showLoading(true);
-    setProcessingState(true, elements.processingIndicator);
-    clearErrors();
-    let roomDataFiles = [], occupantDataFiles = [], tagFiles = [], sessionFiles = [];
+// --- CATEGORY TAG RULES ---
+// state.categoryTagRules drives generateTags. Edited rules are kept in localStorage and in exported sessions.
 
-    for (const file of files) {
-        const fileType = file.name.split('.').pop().toLowerCase();
-        if (fileType === 'json') {
-            tagFiles.push(file);
-        } else if (fileType === 'umsess') {
-            sessionFiles.push(file);
-        } else if (['xlsx', 'xls', 'csv'].includes(fileType)) {
-            if (file.name.toLowerCase().includes('occupant') || file.name.toLowerCase().includes('staff')) {
-                occupantDataFiles.push(file);
-            } else {
-                roomDataFiles.push(file);
-            }
-        } else {
-            addError(`Unsupported file type: ${file.name}`);
-            state.loadedFiles.push({ name: file.name, type: 'unsupported', status: 'error', message: 'Unsupported type' });
-        }
-    }
+const TAG_RULES_STORAGE_KEY = 'hospitalDirectoryTagRules';
 
-    if (sessionFiles.length > 0) {
-        for (const sessionFile of sessionFiles) {
-            await importSession(sessionFile);
-        }
-    }
-    if (roomDataFiles.length > 0) {
-        await processRoomDataFiles(roomDataFiles);
-    }
-    if (occupantDataFiles.length > 0) {
-        await processOccupantDataFiles(occupantDataFiles);
-    }
-    for (const tagFile of tagFiles) {
-        await importCustomTags(tagFile);
+function loadCategoryTagRules() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(TAG_RULES_STORAGE_KEY));
+        if (Array.isArray(saved)) state.categoryTagRules = saved;
+    } catch (e) {
+        console.warn('Could not read saved tag rules:', e);
     }
+}
 
-    updateFilesListUI(); // Direct call to ui.js function
-    updateDataSummary(); // Direct call to ui.js function
-    await updateUI();      // Direct call to ui.js function
+function persistCategoryTagRules() {
+    localStorage.setItem(TAG_RULES_STORAGE_KEY, JSON.stringify(state.categoryTagRules));
+}
 
-    if(state.processedData.length > 0) {
-        enableDependentFeatures(); // Direct call to ui.js function
-        updateUploadAreaState(); // Direct call to ui.js function
+// Counts loaded rooms a single rule would tag. Returns null for an invalid rule.
+function countRoomsMatchingTagRule(rule) {
+    if (validateTagRule(rule)) return null;
+    const compiled = compileTagRules([rule]);
+    return state.processedData.filter(room => generateTags(room.typeFull, room.dept_descr, compiled).length > 0).length;
+}
+
+function getTagsForSample(rules, roomType, department) {
+    return generateTags(roomType, department, compileTagRules(rules.filter(rule => !validateTagRule(rule))));
+}
+
+// Replaces the rule set and re-tags every loaded room. Rules must already be valid.
+async function saveCategoryTagRules(rules) {
+    recordHistory('Edit category tag rules', 'normalization');
+    state.categoryTagRules = rules.map(rule => ({ pattern: rule.pattern, flags: rule.flags || '', tag: rule.tag.trim(), target: rule.target || 'both' }));
+    persistCategoryTagRules();
+    await renormalizeRoomTypes();
+    console.log(`🏷️ Tag rules saved (${state.categoryTagRules.length} rules).`);
+}
+
+// --- BULK TAGGING ---
+// Custom tag changes applied to many rooms at once. Each call is a single undo step and reports how many
+// rooms it changed; tag names match case-insensitively, as in the tag modal.
+
+function getRoomsByIds(roomIds) {
+    const ids = new Set(Array.from(roomIds, String));
+    return state.processedData.filter(room => ids.has(String(room.id)));
+}
+
+function findCustomTagByName(roomId, name) {
+    const key = name.trim().toLowerCase();
+    return (state.customTags[roomId] || []).find(tag => tag.name.toLowerCase() === key) || null;
+}
+
+async function refreshAfterBulkTagChange() {
+    await createSearchIndex();
+    await updateResults(); // Direct call to ui.js function
+}
+
+// fields: { name, type, description, link, contact, imageUrl, color }. Rooms that already have a tag of that name are left alone.
+async function bulkAddTag(roomIds, fields) {
+    const rooms = getRoomsByIds(roomIds);
+    const targets = rooms.filter(room => !findCustomTagByName(room.id, fields.name));
+    if (targets.length > 0) {
+        recordHistory(`Add tag "${fields.name.trim()}" to ${targets.length} rooms`, 'tags');
+        targets.forEach(room => {
+            if (!state.customTags[room.id]) state.customTags[room.id] = [];
+            state.customTags[room.id].push(createRichTag(fields.name, fields.type, fields.description, fields.link, fields.contact, fields.imageUrl, fields.color, fields));
+        });
+        await refreshAfterBulkTagChange();
     }
+    return { changed: targets.length, unchanged: rooms.length - targets.length };
+}
 
-    if (state.processedData.length > 0 || Object.keys(state.customTags).length > 0) {
-        showSecurityReminder(); // Direct call to app.js function (made global)
+async function bulkRemoveTag(roomIds, name) {
+    const rooms = getRoomsByIds(roomIds);
+    const targets = rooms.filter(room => findCustomTagByName(room.id, name));
+    if (targets.length > 0) {
+        recordHistory(`Remove tag "${name.trim()}" from ${targets.length} rooms`, 'tags');
+        targets.forEach(room => {
+            const tag = findCustomTagByName(room.id, name);
+            state.customTags[room.id] = state.customTags[room.id].filter(t => t !== tag);
+            if (state.customTags[room.id].length === 0) delete state.customTags[room.id];
+        });
+        await refreshAfterBulkTagChange();
     }
+    return { changed: targets.length, unchanged: rooms.length - targets.length };
+}
 
-    showLoading(false);
-    setProcessingState(false, elements.processingIndicator);
+async function bulkRecolorTag(roomIds, name, color) {
+    const rooms = getRoomsByIds(roomIds);
+    const targets = rooms.filter(room => {
+        const tag = findCustomTagByName(room.id, name);
+        return tag && (tag.color || 'blue') !== color;
+    });
+    if (targets.length > 0) {
+        recordHistory(`Change color of tag "${name.trim()}" to ${color} in ${targets.length} rooms`, 'tags');
+        targets.forEach(room => {
+            const tag = findCustomTagByName(room.id, name);
+            tag.color = color;
+            tag.isRich = hasRichTagDetails(tag);
+            tag.modified = new Date().toISOString();
+        });
+        await refreshAfterBulkTagChange();
+    }
+    return { changed: targets.length, unchanged: rooms.length - targets.length };
 }
 
-function exportCustomTags() {
-    if (Object.keys(state.customTags).length === 0) {
-        addError("No custom tags to export.");
-        return;
+// --- TAG PHOTOS ---
+// Photos picked in the custom tag modal are downscaled, stored in state.tagImages and referenced by tag.imageId.
+// Photos no tag refers to are dropped when the tag modal closes; sessions only carry referenced ones.
+
+function getTagImageUsage() {
+    return Object.values(state.tagImages).reduce((total, image) => total + (image.bytes || 0), 0);
+}
+
+async function addTagImage(file) {
+    if (!file.type.startsWith('image/')) throw new Error(`${file.name} is not an image.`);
+    const { dataUrl, width, height } = await downscaleImageFile(file, tagImageMaxDimension, tagImageQuality);
+    const bytes = dataUrl.length; // Stored as text, so the data URL length is what it costs
+    const used = getTagImageUsage();
+    if (used + bytes > tagImageBudgetBytes) {
+        throw new Error(`This photo (${formatByteSize(bytes)}) would take the workspace over its ${formatByteSize(tagImageBudgetBytes)} photo budget (${formatByteSize(used)} used). Remove photos from other tags first.`);
     }
-    const exportData = {
-        version: "1.2",
-        timestamp: new Date().toISOString(),
-        customTags: {},
-        roomReference: {}
+    const imageId = `img-${Date.now()}${Math.random().toString(36).substring(2, 9)}`;
+    state.tagImages[imageId] = { dataUrl, width, height, bytes, name: file.name, added: new Date().toISOString() };
+    return imageId;
+}
+
+// Describes photo storage use, with warning set once it passes tagImageWarningRatio of the budget.
+function getTagImageBudgetStatus() {
+    const used = getTagImageUsage();
+    return {
+        used,
+        warning: used >= tagImageBudgetBytes * tagImageWarningRatio,
+        message: `Photos: ${formatByteSize(used)} of ${formatByteSize(tagImageBudgetBytes)} used`
     };
+}
 
-    Object.keys(state.customTags).forEach(roomId => {
-        const room = state.processedData.find(r => r.id.toString() === roomId.toString());
-        if (room && state.customTags[roomId] && state.customTags[roomId].length > 0) {
-            exportData.customTags[roomId] = state.customTags[roomId];
-            exportData.roomReference[roomId] = {
-                rmnbr: room.rmnbr,
-                typeFull: room.typeFull,
-                rmrecnbr: room.rmrecnbr,
-                building: room.bld_descrshort
-            };
-        }
+function getReferencedTagImageIds() {
+    const ids = new Set();
+    Object.values(state.customTags).forEach(tags => (tags || []).forEach(tag => { if (tag.imageId) ids.add(tag.imageId); }));
+    state.quarantinedTags.forEach(({ tag }) => { if (tag.imageId) ids.add(tag.imageId); });
+    return ids;
+}
+
+function getReferencedTagImages() {
+    const ids = getReferencedTagImageIds();
+    return Object.fromEntries(Object.entries(state.tagImages).filter(([imageId]) => ids.has(imageId)));
+}
+
+function pruneUnusedTagImages() {
+    const ids = getReferencedTagImageIds();
+    Object.keys(state.tagImages).forEach(imageId => { if (!ids.has(imageId)) delete state.tagImages[imageId]; });
+}
+
+// --- TAG QUARANTINE ---
+// Tags files and sessions can come from anyone, so tags whose links, image URLs or photos break the URL policy
+// (see getTagUrlProblems) are not added to rooms. They wait in state.quarantinedTags and are listed in the import
+// report, where each can be added with the refused parts removed, or discarded.
+
+// Removes the tags the URL policy refuses from a customTags map, and unsafe photos from images, in place.
+// Kept tags with a color outside customTagColors are set to blue. Returns the removed tags as [{ sourceRoomId, tag, problems }].
+function takeUnsafeTags(customTags, images) {
+    const taken = [];
+    Object.entries(customTags || {}).forEach(([sourceRoomId, tags]) => {
+        if (!Array.isArray(tags)) return;
+        customTags[sourceRoomId] = tags.filter(tag => {
+            const problems = getTagUrlProblems(tag || {}, images || {});
+            if (problems.length > 0) taken.push({ sourceRoomId, tag, problems });
+            else if (tag) tag.color = normalizeTagColor(tag.color);
+            return problems.length === 0;
+        });
     });
+    Object.keys(images || {}).forEach(imageId => { if (!isSafeImageDataUrl(images[imageId]?.dataUrl)) delete images[imageId]; });
+    return taken;
+}
 
-    if (Object.keys(exportData.customTags).length === 0) {
-        addError("No valid custom tags found on currently loaded rooms to export.");
-        return;
-    }
-    downloadFile(JSON.stringify(exportData, null, 2), `custom_tags_${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+// entries: [{ roomId, roomLabel, tag, problems }], with roomId null when the tag has no single room to go to.
+function quarantineTags(entries, sourceName) {
+    if (entries.length === 0) return;
+    entries.forEach(entry => state.quarantinedTags.push({ ...entry, source: sourceName }));
+    console.warn(`⚠️ ${entries.length} tag(s) from ${sourceName} quarantined.`, entries);
+    addError(`${entries.length} tag(s) from ${sourceName} were quarantined for unsafe links or images. Open the import report to review them.`);
 }
 
-async function importCustomTags(file) {
-    showLoading(true);
-    setProcessingState(true, elements.processingIndicator);
-    clearErrors();
-    try {
-        const text = await file.text();
-        const importData = JSON.parse(text);
-        if (!importData.customTags) throw new Error("Invalid tags file: missing customTags data.");
+// Adds a quarantined tag to its room without the link, image URL or photo the policy refused.
+function releaseQuarantinedTag(index) {
+    const entry = state.quarantinedTags[index];
+    if (!entry || entry.roomId === null) return false;
+    recordHistory(`Add quarantined tag "${entry.tag.name}" to ${getRoomHistoryLabel(entry.roomId)}`, 'tags');
+    const tag = { ...entry.tag };
+    if (checkTagUrl(tag.link).problem) tag.link = '';
+    if (checkTagUrl(tag.imageUrl, allowedTagImageSchemes).problem) tag.imageUrl = '';
+    if (tag.imageId && !isSafeImageDataUrl(state.tagImages[tag.imageId]?.dataUrl)) delete tag.imageId;
+    tag.color = normalizeTagColor(tag.color);
+    tag.isRich = hasRichTagDetails(tag);
+    if (!state.customTags[entry.roomId]) state.customTags[entry.roomId] = [];
+    const roomTags = state.customTags[entry.roomId];
+    if (findCustomTagByName(entry.roomId, tag.name)) tag.name = getUniqueTagName(roomTags, tag.name);
+    roomTags.push(tag);
+    state.quarantinedTags.splice(index, 1);
+    return true;
+}
 
-        let importedCount = 0;
-        let skippedCount = 0;
-
-        Object.keys(importData.customTags).forEach(roomIdFromFile => {
-            const tagsToImport = importData.customTags[roomIdFromFile];
-            if (!Array.isArray(tagsToImport) || tagsToImport.length === 0) return;
-
-            let targetRoom = null;
-            const roomRef = importData.roomReference ? importData.roomReference[roomIdFromFile] : null;
-
-            if (roomRef && roomRef.rmrecnbr) targetRoom = state.processedData.find(r => String(r.rmrecnbr) === String(roomRef.rmrecnbr));
-            if (!targetRoom) targetRoom = state.processedData.find(r => r.id.toString() === roomIdFromFile.toString());
-            if (!targetRoom && roomRef && roomRef.rmnbr && roomRef.building) targetRoom = state.processedData.find(r => r.rmnbr === roomRef.rmnbr && (r.bld_descrshort === roomRef.building || r.building === roomRef.building));
-            if (!targetRoom && roomRef && roomRef.rmnbr) targetRoom = state.processedData.find(r => r.rmnbr === roomRef.rmnbr);
-
-            if (targetRoom) {
-                if (!state.customTags[targetRoom.id]) state.customTags[targetRoom.id] = [];
-                tagsToImport.forEach(tagFromFile => {
-                    let richTagObject = (typeof tagFromFile === 'string') ?
-                        createRichTag(tagFromFile, 'simple', '', '', '', '', 'blue') :
-                        createRichTag(tagFromFile.name, tagFromFile.type, tagFromFile.description, tagFromFile.link, tagFromFile.contact, tagFromFile.imageUrl, tagFromFile.color);
-                    if (!state.customTags[targetRoom.id].some(existingTag => existingTag.name === richTagObject.name)) {
-                        state.customTags[targetRoom.id].push(richTagObject);
-                        importedCount++;
-                    }
-                });
-            } else {
-                skippedCount++;
-            }
+function discardQuarantinedTag(index) {
+    const entry = state.quarantinedTags[index];
+    if (!entry) return;
+    recordHistory(`Discard quarantined tag "${entry.tag.name}"`, 'tags');
+    state.quarantinedTags.splice(index, 1);
+    pruneUnusedTagImages();
+}
+
+// --- TAG CATALOG ---
+// Every distinct custom tag in the workspace. Names are compared case-insensitively, as in the tag modal, and
+// names that differ only in spacing or punctuation ("Crash Cart", "CrashCart") are flagged as likely duplicates.
+
+function getTagSimilarityKey(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Search terms are split on spaces, so multi-word names are searched in hyphenated form.
+function getCustomTagSearchTerm(name) {
+    return `custom:${name.trim().toLowerCase().replace(/\s+/g, '-')}`;
+}
+
+// Returns [{ key, name, spellings, color, roomCount, similar }] sorted by use. name and color are the most common
+// spelling and color; similar lists the names of other entries that are likely duplicates.
+function getTagCatalog() {
+    const entries = new Map();
+    Object.entries(state.customTags).forEach(([roomId, tags]) => {
+        (tags || []).forEach(tag => {
+            const key = tag.name.toLowerCase();
+            if (!entries.has(key)) entries.set(key, { key, spellings: {}, colors: {}, roomIds: new Set() });
+            const entry = entries.get(key);
+            entry.spellings[tag.name] = (entry.spellings[tag.name] || 0) + 1;
+            entry.colors[tag.color || 'blue'] = (entry.colors[tag.color || 'blue'] || 0) + 1;
+            entry.roomIds.add(String(roomId));
         });
-        if (importedCount > 0) console.log(`✅ Imported/Updated ${importedCount} custom tags. Skipped ${skippedCount}.`);
-        else addError("No new tags imported/updated.");
-        await createSearchIndex();
-    } catch (e) {
-        addError(`Tags Import Error: ${e.message}`);
-        console.error(e);
-    } finally {
-        showLoading(false);
-        setProcessingState(false, elements.processingIndicator);
-    }
+    });
+    const mostUsed = counts => Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0];
+    const catalog = Array.from(entries.values()).map(entry => ({
+        key: entry.key,
+        name: mostUsed(entry.spellings),
+        spellings: Object.keys(entry.spellings),
+        color: mostUsed(entry.colors),
+        roomCount: entry.roomIds.size
+    }));
+
+    const groups = {};
+    catalog.forEach(entry => {
+        const similarityKey = getTagSimilarityKey(entry.name);
+        if (!groups[similarityKey]) groups[similarityKey] = [];
+        groups[similarityKey].push(entry);
+    });
+    catalog.forEach(entry => {
+        entry.similar = groups[getTagSimilarityKey(entry.name)].filter(other => other !== entry).map(other => other.name);
+    });
+    return catalog.sort((a, b) => b.roomCount - a.roomCount || a.name.localeCompare(b.name));
 }
 
-function exportSession() {
-    if (state.processedData.length === 0 && Object.keys(state.customTags).length === 0) {
-        addError("No session data to export.");
-        return;
-    }
-    const sessionData = {
-        version: "1.1", timestamp: new Date().toISOString(), type: "um_session",
-        data: {
-            processedData: state.processedData, customTags: state.customTags, staffTags: state.staffTags,
-            buildingColors: state.buildingColors, activeFilters: state.activeFilters,
-            searchQuery: state.searchQuery, currentViewMode: state.currentViewMode, resultsPerPage: state.resultsPerPage
+// Renames every tag named like one of sourceNames (or targetName) to targetName. A room left with several of
+// them keeps one: its tag already named targetName if any, otherwise the first. Returns the number of rooms changed.
+async function mergeCustomTags(sourceNames, targetName, historyLabel) {
+    const target = targetName.trim();
+    const keys = new Set([...sourceNames, target].map(name => name.trim().toLowerCase()));
+    const changes = [];
+    Object.entries(state.customTags).forEach(([roomId, tags]) => {
+        const matching = tags.filter(tag => keys.has(tag.name.toLowerCase()));
+        if (matching.length === 0) return;
+        const keep = matching.find(tag => tag.name.toLowerCase() === target.toLowerCase()) || matching[0];
+        if (matching.length === 1 && keep.name === target) return;
+        changes.push({ roomId, keep, drop: matching.filter(tag => tag !== keep) });
+    });
+    if (changes.length === 0) return 0;
+
+    recordHistory(historyLabel || `Merge ${sourceNames.length} tags into "${target}"`, 'tags');
+    const now = new Date().toISOString();
+    changes.forEach(({ roomId, keep, drop }) => {
+        if (keep.name !== target) {
+            keep.name = target;
+            keep.modified = now;
         }
-    };
-    try {
-        const jsonString = JSON.stringify(sessionData);
-        const compressedData = btoa(unescape(encodeURIComponent(jsonString)));
-        downloadFile(compressedData, `hospital_directory_session_${new Date().toISOString().split('T')[0]}.umsess`, 'application/octet-stream');
-        console.log(`📦 Session exported.`);
-    } catch (error) {
-        addError("Error preparing session data for export: " + error.message);
-        console.error("Session export error:", error);
-    }
+        if (drop.length > 0) state.customTags[roomId] = state.customTags[roomId].filter(tag => !drop.includes(tag));
+    });
+    await refreshAfterBulkTagChange();
+    return changes.length;
 }
 
-async function importSession(file) {
-    showLoading(true);
-    setProcessingState(true, elements.processingIndicator);
-    clearErrors();
-    try {
-        const compressedData = await file.text();
-        const jsonString = decodeURIComponent(escape(atob(compressedData)));
-        const sessionData = JSON.parse(jsonString);
-        if (!sessionData.type || sessionData.type !== "um_session") throw new Error("Invalid session file format.");
-
-        state.processedData = sessionData.data.processedData || [];
-        state.customTags = sessionData.data.customTags || {};
-        state.staffTags = sessionData.data.staffTags || {};
-        state.buildingColors = sessionData.data.buildingColors || {};
-        state.activeFilters = sessionData.data.activeFilters || { building: '', floor: '', tags: [] };
-        state.searchQuery = sessionData.data.searchQuery || '';
-        state.currentViewMode = sessionData.data.currentViewMode || 'desktop';
-        state.resultsPerPage = sessionData.data.resultsPerPage || 10;
-        state.currentPage = 1;
-
-        state.availableBuildings = [...new Set(state.processedData.map(r => r.building || r.bld_descrshort || 'Unknown'))].sort();
-        state.availableFloors = [...new Set(state.processedData.map(r => (r.floor !== null && typeof r.floor !== 'undefined') ? r.floor.toString() : 'N/A'))].sort((a, b) => (a === 'N/A') ? 1 : (b === 'N/A') ? -1 : Number(a) - Number(b));
-        state.availableTags = [...new Set(state.processedData.flatMap(r => r.tags || []))].sort();
-
-        if (elements.searchInput) elements.searchInput.value = state.searchQuery;
-        if (elements.searchInputMobile) elements.searchInputMobile.value = state.searchQuery;
-
-        state.loadedFiles.push({ name: file.name, type: 'session', status: 'processed' });
-        await createSearchIndex();
-        console.log(`✅ Session restored.`);
-        addError(`Session '${file.name}' loaded successfully.`);
-    } catch (e) {
-        addError(`Session Import Error (${file.name}): ${e.message}`);
-        console.error(e);
-    } finally {
-        showLoading(false);
-        setProcessingState(false, elements.processingIndicator);
-    }
+function renameCustomTag(oldName, newName) {
+    return mergeCustomTags([oldName], newName, `Rename tag "${oldName}" to "${newName.trim()}"`);
+}
+
+function recolorCustomTagEverywhere(name, color) {
+    return bulkRecolorTag(Object.keys(state.customTags), name, color);
+}
+
+function deleteCustomTagEverywhere(name) {
+    return bulkRemoveTag(Object.keys(state.customTags), name);
 }
 
 // --- UNIFIED SEARCH ARCHITECTURE ---
@@ -420,12 +2574,17 @@ function createUnifiedTags(room) {
         });
     }
     
-    // Custom tags
+    // Custom tags. Expired tags only match status:expired and needs:review unless state.includeExpiredTags is on.
     const customTags = state.customTags[room.id] || [];
     customTags.forEach(tagObj => {
+        const expired = isTagExpired(tagObj);
+        if (expired) tags.push('status:expired');
+        if (tagNeedsReview(tagObj)) tags.push('needs:review');
+        if (expired && !state.includeExpiredTags) return;
         if (tagObj.name) {
             tags.push(tagObj.name.toLowerCase());
             tags.push(`custom:${tagObj.name.toLowerCase()}`);
+            tags.push(getCustomTagSearchTerm(tagObj.name)); // Single-term form used by the tag catalog's "Find rooms"
             // Add individual words from custom tag names
             tagObj.name.toLowerCase().split(/\s+/).forEach(word => {
                 if (word.length > 1) tags.push(word);
@@ -437,6 +2596,15 @@ function createUnifiedTags(room) {
         if (tagObj.color) {
             tags.push(`color:${tagObj.color.toLowerCase()}`);
         }
+        // Type-specific fields, e.g. asset:12345
+        (getTagFieldSchema(tagObj.type)?.fields || []).forEach(field => {
+            const value = String(tagObj.fields?.[field.key] || '').toLowerCase();
+            if (!value) return;
+            tags.push(`${field.searchPrefix}:${value.replace(/\s+/g, '-')}`);
+            value.split(/\s+/).forEach(word => {
+                if (word.length > 1) tags.push(word);
+            });
+        });
     });
     
     // Staff tags
@@ -451,6 +2619,11 @@ function createUnifiedTags(room) {
         });
     });
     
+    // Import status
+    if (room.missingFromImport) {
+        tags.push('status:missing');
+    }
+    
     // Room number variations
     if (room.rmnbr) {
         tags.push(room.rmnbr.toString().toLowerCase());
@@ -575,27 +2748,20 @@ async function createSearchIndex() {
         return;
     }
     
+    const { unifiedTags, fuseIndex, autocompleteItems } = await runImportTask('buildIndex', {}, {
+        processedData: state.processedData, customTags: state.customTags, staffTags: state.staffTags, includeExpiredTags: state.includeExpiredTags
+    });
+
     // Create enhanced data for Fuse with unified tags
-    const dataForIndex = state.processedData.map(r => ({
+    const dataForIndex = state.processedData.map((r, i) => ({
         ...r,
-        unifiedTags: createUnifiedTags(r).join(' '),
+        unifiedTags: unifiedTags[i],
         rmnbrStr: r.rmnbr ? r.rmnbr.toString() : ''
     }));
     
     // Simplified Fuse configuration focusing on unified tags
-    state.fuse = new Fuse(dataForIndex, {
-        keys: [
-            { name: 'rmnbrStr', weight: 3.0 },
-            { name: 'unifiedTags', weight: 2.0 }
-        ],
-        threshold: 0.3,
-        ignoreLocation: true,
-        useExtendedSearch: true,
-        includeMatches: true,
-        minMatchCharLength: 1
-    });
-    
-    buildAutocompleteList();
+    state.fuse = new Fuse(dataForIndex, searchIndexOptions, Fuse.parseIndex(fuseIndex));
+    state.autocompleteItems = autocompleteItems;
 }
 
 function updateAutocomplete(query) {
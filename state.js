@@ -12,9 +12,13 @@ const state = {
   availableTags: [],
   unmappedAbbreviations: {},
   customAbbreviationMappings: {},
+  categoryTagRules: defaultCategoryTagRules.map(rule => ({ ...rule })), // Editable copy of config tagRules: { pattern, flags, tag, target }
   fuse: null,
   customTags: {}, // Stores rich tag objects: { roomId: [richTagObj1, richTagObj2] }
+  tagImages: {}, // Photos attached to custom tags: { imageId: { dataUrl, width, height, bytes, name, added } }
+  quarantinedTags: [], // Imported tags held back by the URL policy: { roomId, roomLabel, tag, problems, source }
   staffTags: {},  // Stores staff names: { roomId: ["Staff: Name1", "Staff: Name2"] }
+  occupants: {},  // Occupant records by key: { id, name, title, email, phone, department, uniqname, roomIds: [] }
   autocompleteItems: [],
   autocompleteActiveIndex: -1,
   previouslyFocusedElement: null,
@@ -26,6 +30,19 @@ const state = {
   currentFilteredData: [], // Holds the data after all filters and search are applied
   hideSecurityReminder: false,
   uploadSectionOpen: true, // To control the collapsible upload section
+  datasetDiff: null, // Last comparison report: { fromLabel, toLabel, generated, entries }
+  reimportMode: false, // Update matching rooms on import instead of appending duplicates
+  reimportSummary: null, // Counts from the last re-import: { added, updated, unchanged, missing }
+  mergeSessions: false, // Merge imported sessions into the workspace instead of replacing it
+  importAbortController: null, // Set while a cancellable import is running
+  persistenceEnabled: true, // Autosave the session to IndexedDB; turned off per browser for shared workstations
+  workspaceRestorePending: false, // True while the restore prompt is open, so autosave can't overwrite the saved copy
+  lastAutosave: null,
+  selectedRoomIds: new Set(), // Room ids (as strings) checked for bulk tag actions
+  undoStack: [], // Undo history: { label, time, snapshot } entries, newest last
+  redoStack: [],
+  encryptExports: false, // Ask for a passphrase and encrypt session and tag exports
+  includeExpiredTags: false, // Expired custom tags are left out of search unless this is on
   currentViewMode: 'desktop', // Default: 'desktop' or 'mobile'
   viewModeInitialized: false, // Track if initial view mode is set
 };
@@ -94,22 +94,47 @@ function updateDataSummary() {
     <div class="bg-um-maize-light p-3 rounded-lg border border-um-maize"><div class="font-medium text-um-text-on-maize">Floors</div><div class="text-sm text-um-text-on-maize">${floors.length} total</div></div>
     <div class="bg-gray-200 p-3 rounded-lg"><div class="font-medium text-gray-700">Rooms</div><div class="text-sm text-gray-700">${state.processedData.length} total</div></div>
   `;
+  const reimport = state.reimportSummary;
+  if (reimport) {
+    elements.summaryContent.innerHTML += `
+    <div class="md:col-span-3 bg-green-50 p-3 rounded-lg border border-green-200"><div class="font-medium text-green-800">Last re-import</div><div class="text-sm text-green-800">${reimport.added} added, ${reimport.updated} updated, ${reimport.unchanged} unchanged, ${reimport.missing} no longer in the export</div></div>
+  `;
+  }
 }
 
 function updateFilesListUI() {
     if (!elements.uploadedFilesList) return;
     elements.uploadedFilesList.innerHTML = '';
     if (state.loadedFiles.length > 0) {
+        const statusClasses = { error: 'bg-red-100 text-red-700', excluded: 'bg-gray-100 text-gray-500' };
+        const statusText = f => {
+            if (f.status === 'processed') {
+                const openRejections = getOpenRejections(f).length; // Direct call to data.js function
+                const rejected = openRejections > 0 ? ` · <span class="text-yellow-700 font-medium">${openRejections} rejected</span>` : '';
+                return (f.rows ? f.rows + ' rows' : 'Processed') + rejected;
+            }
+            if (f.status === 'merged') return 'Merged';
+            if (f.status === 'excluded') return typeof f.rows === 'number' ? `Excluded (${f.rows} rows)` : 'Not imported';
+            return 'Error: ' + sanitizeHTML(f.message || 'Failed');
+        };
         elements.uploadedFilesList.innerHTML = state.loadedFiles.map(f =>
-            `<div class="flex justify-between items-center ${f.status === 'error' ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-800'} px-2 py-1 rounded text-xs">
-                <span>${sanitizeHTML(f.name)} (${f.type})</span>
-                <span>${f.status === 'processed' ? (f.rows ? f.rows + ' rows' : 'Processed') : ('Error: ' + sanitizeHTML(f.message || 'Failed'))}</span>
+            `<div class="flex justify-between items-center ${statusClasses[f.status] || 'bg-green-100 text-green-800'} px-2 py-1 rounded text-xs">
+                <span>${sanitizeHTML(getSheetLabel(f.name, f.sheet))} (${f.type})</span>
+                <span>${statusText(f)}</span>
             </div>`
         ).join('');
         elements.universalUploadArea.classList.add('has-files');
     } else {
         elements.universalUploadArea.classList.remove('has-files');
     }
+    if (elements.importReportBtn) {
+        elements.importReportBtn.classList.toggle('hidden', getRejectedRowEntries().length === 0 && state.quarantinedTags.length === 0); // Direct call to data.js function
+    }
+    if (elements.occupantResolverBtn) {
+        const unmatched = getUnmatchedOccupants().length; // Direct call to data.js function
+        elements.occupantResolverBtn.textContent = `Resolve unmatched people (${unmatched})`;
+        elements.occupantResolverBtn.classList.toggle('hidden', unmatched === 0);
+    }
 }
 
 function updateUploadAreaState() {
@@ -130,6 +155,7 @@ function createRowElement(room) {
     const clone = elements.rowTemplate.content.cloneNode(true);
     const row = clone.querySelector('tr');
     row.dataset.roomId = room.id; // Store unique ID
+    row.querySelector('[data-action="select-room"]').checked = state.selectedRoomIds.has(String(room.id));
 
     row.querySelector('[data-content="room-avatar"]').textContent = room.rmnbr.toString().slice(-2);
     row.querySelector('[data-content="rmnbr"]').textContent = room.rmnbr;
@@ -147,12 +173,13 @@ function createRowElement(room) {
     row.querySelector('[data-content="dept_descr"]').textContent = room.dept_descr || '-';
 
     populateTagsContainer(row.querySelector('[data-container="tags"]'), room.tags);
+    appendImportStatusPill(row.querySelector('[data-container="tags"]'), room);
 
     const combinedCustomStaffTags = [
       ...(state.staffTags[room.id] || []),
       ...(state.customTags[room.id] || [])
     ];
-    populateTagsContainer(row.querySelector('[data-container="staff-custom-tags"]'), combinedCustomStaffTags);
+    populateTagsContainer(row.querySelector('[data-container="staff-custom-tags"]'), combinedCustomStaffTags, room.id);
 
 
     const mapLink = row.querySelector('[data-action="map-link"]');
@@ -167,6 +194,7 @@ function createMobileCardElement(room) {
     const clone = elements.mobileCardTemplate.content.cloneNode(true);
     const card = clone.querySelector('.room-card');
     card.dataset.roomId = room.id;
+    card.querySelector('[data-action="select-room"]').checked = state.selectedRoomIds.has(String(room.id));
 
     card.querySelector('[data-content="room-avatar"]').textContent = room.rmnbr.toString().slice(-2);
     card.querySelector('[data-content="rmnbr"]').textContent = room.rmnbr;
@@ -183,12 +211,13 @@ function createMobileCardElement(room) {
     card.querySelector('[data-content="dept_descr"]').textContent = room.dept_descr || '-';
 
     populateTagsContainer(card.querySelector('[data-container="tags"]'), room.tags);
+    appendImportStatusPill(card.querySelector('[data-container="tags"]'), room);
 
     const combinedCustomStaffTags = [
         ...(state.staffTags[room.id] || []),
         ...(state.customTags[room.id] || [])
     ];
-    populateTagsContainer(card.querySelector('[data-container="staff-custom-tags"]'), combinedCustomStaffTags);
+    populateTagsContainer(card.querySelector('[data-container="staff-custom-tags"]'), combinedCustomStaffTags, room.id);
 
     const mapLink = card.querySelector('[data-action="map-link"]');
     mapLink.href = room.mgisLink || '#';
@@ -199,7 +228,8 @@ function createMobileCardElement(room) {
 }
 
 
-function populateTagsContainer(container, tags) {
+// roomId is needed to link staff pills to their occupant records.
+function populateTagsContainer(container, tags, roomId) {
     if (!container) return;
     container.innerHTML = '';
     if (!tags || tags.length === 0) return;
@@ -216,6 +246,11 @@ function populateTagsContainer(container, tags) {
             if (tagData.startsWith('Staff: ')) {
                 span.textContent = tagData.substring(7);
                 span.classList.add('staff-tag-pill');
+                const occupant = roomId !== undefined ? findOccupantForStaffTag(roomId, tagData) : null; // Direct call to data.js function
+                if (occupant && typeof displayOccupantInfo === 'function') { // displayOccupantInfo is global from app.js
+                    span.classList.add('rich-tag');
+                    span.onclick = () => displayOccupantInfo(occupant);
+                }
             } else {
                 span.textContent = tagData;
                 span.classList.add('default-tag');
@@ -223,8 +258,14 @@ function populateTagsContainer(container, tags) {
         } else if (typeof tagData === 'object' && tagData !== null && tagData.name) {
             span.textContent = tagData.name;
             span.classList.add(`tag-${tagData.color || 'blue'}`);
+            if (isTagExpired(tagData)) {
+                span.classList.add('expired-tag');
+                span.title = `Expired ${tagData.expires}`;
+            } else if (isTagStale(tagData)) {
+                span.title = `Not reviewed in over ${tagReviewIntervalDays} days`;
+            }
 
-            if (tagData.isRich || tagData.description || tagData.link || tagData.imageUrl || tagData.contact) {
+            if (tagData.isRich || hasRichTagDetails(tagData)) {
                 span.classList.add('rich-tag');
                 if (typeof displayTagInfo === 'function') { // displayTagInfo is global from app.js
                     span.onclick = () => displayTagInfo(tagData);
@@ -237,6 +278,16 @@ function populateTagsContainer(container, tags) {
     });
 }
 
+// Flags rooms that were absent from the most recent re-import of their building.
+function appendImportStatusPill(container, room) {
+    if (!container || !room.missingFromImport) return;
+    const span = document.createElement('span');
+    span.className = 'tag-pill missing-room-pill';
+    span.textContent = 'Not in latest import';
+    span.title = `Not found in the re-import of ${new Date(room.missingFromImport).toLocaleString()}`;
+    container.prepend(span);
+}
+
 function updateFilterOptions() {
     if(elements.buildingFilter) {
         const currentBuilding = elements.buildingFilter.value;
@@ -338,6 +389,7 @@ async function updateUI() {
     } else {
         elements.emptyState.classList.remove('hidden');
     }
+    scheduleAutosave(); // Direct call to data.js function
 
     if (state.viewModeInitialized) {
        await updateResults();
@@ -349,25 +401,18 @@ async function updateUI() {
 
 async function updateResults() {
     const allFilteredData = data_getFilteredData(); // Uses function from data.js (assuming it's global)
-    let dataToDisplay = [];
+    const dataToDisplay = getCurrentPageRooms();
 
     const totalFilteredCount = state.currentFilteredData.length;
 
-    if (state.resultsPerPage === 0) {
-        dataToDisplay = [...state.currentFilteredData];
-    } else {
-        const startIndex = (state.currentPage - 1) * state.resultsPerPage;
-        dataToDisplay = state.currentFilteredData.slice(startIndex, startIndex + state.resultsPerPage);
-    }
-
     StatsManager.updateFilteredStats(totalFilteredCount, dataToDisplay.length);
 
     if (elements.resultsBody) {
         elements.resultsBody.innerHTML = '';
         if (dataToDisplay.length === 0 && totalFilteredCount > 0) {
-             elements.resultsBody.innerHTML = `<tr><td colspan="6" class="p-12 text-center text-gray-500">No rooms on this page. Try another page or broaden your search.</td></tr>`;
+             elements.resultsBody.innerHTML = `<tr><td colspan="7" class="p-12 text-center text-gray-500">No rooms on this page. Try another page or broaden your search.</td></tr>`;
         } else if (totalFilteredCount === 0) {
-            elements.resultsBody.innerHTML = `<tr><td colspan="6" class="p-12 text-center text-gray-500">No rooms match your search.</td></tr>`;
+            elements.resultsBody.innerHTML = `<tr><td colspan="7" class="p-12 text-center text-gray-500">No rooms match your search.</td></tr>`;
         } else {
             const fragment = document.createDocumentFragment();
             dataToDisplay.forEach(r => fragment.appendChild(createRowElement(r)));
@@ -395,13 +440,99 @@ async function updateResults() {
         elements.resultsFooter.classList.toggle('hidden', state.processedData.length === 0);
     }
     updateActiveTagsDisplay();
+    updateSelectionControls();
     updatePaginationControls(totalFilteredCount);
+    scheduleAutosave(); // Direct call to data.js function
+}
+
+function getCurrentPageRooms() {
+    if (state.resultsPerPage === 0) return [...state.currentFilteredData];
+    const startIndex = (state.currentPage - 1) * state.resultsPerPage;
+    return state.currentFilteredData.slice(startIndex, startIndex + state.resultsPerPage);
+}
+
+// Selection bar, page checkbox and row checkboxes for bulk tag actions.
+function updateSelectionControls() {
+    // Drop rooms that no longer exist (e.g. after an undo or a new session).
+    const existingIds = new Set(state.processedData.map(room => String(room.id)));
+    state.selectedRoomIds.forEach(id => { if (!existingIds.has(id)) state.selectedRoomIds.delete(id); });
+
+    const selectedCount = state.selectedRoomIds.size;
+    const matchingCount = state.currentFilteredData.length;
+    if (elements.bulkSelectionBar) elements.bulkSelectionBar.classList.toggle('hidden', state.processedData.length === 0);
+    if (elements.bulkSelectionCount) elements.bulkSelectionCount.textContent = selectedCount === 0 ? 'No rooms selected' : `${selectedCount} room${selectedCount === 1 ? '' : 's'} selected`;
+    if (elements.selectAllMatchingBtn) {
+        elements.selectAllMatchingBtn.textContent = `Select all ${matchingCount} matching`;
+        elements.selectAllMatchingBtn.disabled = matchingCount === 0;
+    }
+    if (elements.clearSelectionBtn) elements.clearSelectionBtn.classList.toggle('hidden', selectedCount === 0);
+    if (elements.bulkTagBtn) elements.bulkTagBtn.disabled = selectedCount === 0;
+
+    const pageRooms = getCurrentPageRooms();
+    const selectedOnPage = pageRooms.filter(room => state.selectedRoomIds.has(String(room.id))).length;
+    if (elements.selectPageCheckbox) {
+        elements.selectPageCheckbox.checked = pageRooms.length > 0 && selectedOnPage === pageRooms.length;
+        elements.selectPageCheckbox.indeterminate = selectedOnPage > 0 && selectedOnPage < pageRooms.length;
+    }
+    [elements.resultsBody, elements.mobileResults].forEach(container => {
+        if (!container) return;
+        container.querySelectorAll('[data-room-id]').forEach(el => {
+            const checkbox = el.querySelector('[data-action="select-room"]');
+            if (checkbox) checkbox.checked = state.selectedRoomIds.has(el.dataset.roomId);
+        });
+    });
+}
+
+// Autocomplete for tag name inputs, most used tags first.
+function updateTagSuggestions() {
+    if (!elements.customTagSuggestions) return;
+    elements.customTagSuggestions.innerHTML = '';
+    getTagCatalog().forEach(entry => { // Direct call to data.js function
+        const option = document.createElement('option');
+        option.value = entry.name;
+        elements.customTagSuggestions.appendChild(option);
+    });
+}
+
+// `message` replaces the usual status line until the next update, e.g. to confirm that local data was cleared.
+function updatePersistenceStatus(message = '') {
+    if (elements.persistenceCheckbox) {
+        elements.persistenceCheckbox.checked = state.persistenceEnabled;
+        elements.persistenceCheckbox.disabled = !isPersistenceAvailable(); // Direct call to data.js function
+    }
+    if (!elements.persistenceStatus) return;
+    if (message) elements.persistenceStatus.textContent = message;
+    else if (!isPersistenceAvailable()) elements.persistenceStatus.textContent = 'Not available in this browser.';
+    else if (!state.persistenceEnabled) elements.persistenceStatus.textContent = 'Off: nothing is kept after you close this tab.';
+    else if (state.lastAutosave) elements.persistenceStatus.textContent = `Saved at ${new Date(state.lastAutosave).toLocaleTimeString()}.`;
+    else elements.persistenceStatus.textContent = 'Your work will be saved here as you go.';
+}
+
+
+function updateHistoryControls() {
+    const lastUndo = state.undoStack[state.undoStack.length - 1];
+    const lastRedo = state.redoStack[state.redoStack.length - 1];
+    if (elements.undoBtn) {
+        elements.undoBtn.disabled = !lastUndo;
+        elements.undoBtn.title = lastUndo ? `Undo: ${lastUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+    }
+    if (elements.redoBtn) {
+        elements.redoBtn.disabled = !lastRedo;
+        elements.redoBtn.title = lastRedo ? `Redo: ${lastRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+    if (elements.historyBtn) elements.historyBtn.disabled = !lastUndo && !lastRedo;
 }
 
 
 function enableDependentFeatures() {
     if (elements.exportTagsBtn) elements.exportTagsBtn.disabled = false;
+    if (elements.exportTagsCsvBtn) elements.exportTagsCsvBtn.disabled = false;
+    if (elements.exportTagsXlsxBtn) elements.exportTagsXlsxBtn.disabled = false;
     if (elements.exportSessionBtn) elements.exportSessionBtn.disabled = false;
+    if (elements.compareDatasetBtn) elements.compareDatasetBtn.disabled = false;
+    if (elements.manageAbbreviationsBtn) elements.manageAbbreviationsBtn.disabled = false;
+    if (elements.peopleViewBtn) elements.peopleViewBtn.disabled = false;
+    if (elements.tagCatalogBtn) elements.tagCatalogBtn.disabled = false;
 
     if (elements.searchInput) elements.searchInput.disabled = false;
     if (elements.buildingFilter) elements.buildingFilter.disabled = false;
@@ -5,6 +5,11 @@ function sanitizeHTML(text) {
   return temp.innerHTML;
 }
 
+// sanitizeHTML leaves quotes as they are, so text going inside a quoted attribute needs this instead.
+function escapeAttribute(text) {
+  return sanitizeHTML(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 function debounce(func, delay) {
   let timeout;
   return function(...args) {
@@ -17,6 +22,17 @@ function showLoading(show) {
   if (elements.loadingOverlay) {
     elements.loadingOverlay.classList.toggle('visible', show);
   }
+  if (elements.loadingCancelBtn) {
+    elements.loadingCancelBtn.classList.toggle('hidden', !show || !state.importAbortController);
+  }
+  if (show) updateLoadingProgress(null);
+}
+
+// Pass null to hide the bar when a step has no measurable progress.
+function updateLoadingProgress(percent) {
+  if (!elements.loadingProgress || !elements.loadingProgressBar) return;
+  elements.loadingProgress.classList.toggle('hidden', percent === null || percent === undefined);
+  elements.loadingProgressBar.style.width = `${Math.max(0, Math.min(100, percent || 0))}%`;
 }
 
 function updateLoadingStatus(message) {
@@ -60,6 +76,108 @@ function downloadFile(content, fileName, contentType) {
   URL.revokeObjectURL(url);
 }
 
+// --- BINARY ENCODING ---
+// Used by the .umsess format: base64 for binary payloads, gzip via CompressionStream, SHA-256 checksums.
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000; // Stay well under the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+function isCompressionSupported() {
+  return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+}
+
+async function transformBytes(bytes, transformStream) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transformStream);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function gzipBytes(bytes) {
+  return transformBytes(bytes, new CompressionStream('gzip'));
+}
+
+function gunzipBytes(bytes) {
+  return transformBytes(bytes, new DecompressionStream('gzip'));
+}
+
+async function sha256Hex(bytes) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function formatByteSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// --- IMAGE DOWNSCALING ---
+
+function loadImageFromFile(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => { URL.revokeObjectURL(url); resolve(image); };
+    image.onerror = () => { URL.revokeObjectURL(url); reject(new Error(`${file.name} could not be read as an image.`)); };
+    image.src = url;
+  });
+}
+
+// Redraws the image to fit within maxDimension pixels (never upscaling) and returns it as a JPEG data URL.
+async function downscaleImageFile(file, maxDimension, quality) {
+  const image = await loadImageFromFile(file);
+  const scale = Math.min(1, maxDimension / Math.max(image.naturalWidth, image.naturalHeight));
+  const width = Math.max(1, Math.round(image.naturalWidth * scale));
+  const height = Math.max(1, Math.round(image.naturalHeight * scale));
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff'; // JPEG has no transparency
+  context.fillRect(0, 0, width, height);
+  context.drawImage(image, 0, 0, width, height);
+  return { dataUrl: canvas.toDataURL('image/jpeg', quality), width, height };
+}
+
+// --- PASSPHRASE ENCRYPTION ---
+// AES-GCM with a 256-bit key derived from the passphrase by PBKDF2-SHA-256.
+
+function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+async function derivePassphraseKey(passphrase, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function aesGcmEncrypt(key, iv, bytes, additionalData) {
+  return new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData }, key, bytes));
+}
+
+// Rejects (OperationError) when the key is wrong or the ciphertext or additional data were altered.
+async function aesGcmDecrypt(key, iv, bytes, additionalData) {
+  return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData }, key, bytes));
+}
+
 function generateMgisLink(row) {
     // Ensure row and rmrecnbr exist
     if (row && row.rmrecnbr) {
@@ -69,8 +187,29 @@ function generateMgisLink(row) {
 }
 
 // --- RICH TAG UTILITY --- (Moved here as it's a utility for creating tag data structure)
-function createRichTag(name, type, description, link, contact, imageUrl, color) {
-  return {
+// True if the tag has more than just a name and the default color.
+function hasRichTagDetails(tag) {
+  return (tag.type || 'simple') !== 'simple' || !!tag.description || !!tag.link || !!tag.contact || !!tag.imageUrl || (tag.color || 'blue') !== 'blue' ||
+    !!tag.author || !!tag.reviewed || !!tag.expires || Object.keys(tag.fields || {}).length > 0 || !!tag.imageId;
+}
+
+// Colors end up in class names, so anything outside customTagColors becomes blue.
+function normalizeTagColor(color) {
+  return customTagColors.includes(color) ? color : 'blue';
+}
+
+// Points the tag at a photo in state.tagImages, or detaches it when imageId is empty.
+function setTagImage(tag, imageId) {
+  if (imageId) tag.imageId = imageId;
+  else delete tag.imageId;
+  tag.isRich = hasRichTagDetails(tag);
+  return tag;
+}
+
+// lifecycle: optional { author, reviewed, expires }, with dates as YYYY-MM-DD.
+// fields: the type-specific values described by tagTypeFieldSchemas; keys not in the type's schema are dropped.
+function createRichTag(name, type, description, link, contact, imageUrl, color, lifecycle = {}, fields = {}) {
+  const tag = {
     id: Date.now() + Math.random().toString(36).substring(2,9), // Unique ID for the tag instance
     name: name.trim(),
     type: type || 'simple', // Default to simple if not provided
@@ -78,8 +217,176 @@ function createRichTag(name, type, description, link, contact, imageUrl, color)
     link: link?.trim() || '',
     contact: contact?.trim() || '',
     imageUrl: imageUrl?.trim() || '',
-    color: color || 'blue', // Default color
-    created: new Date().toISOString(),
-    isRich: type !== 'simple' || !!description || !!link || !!contact || !!imageUrl || color !== 'blue' // Flag if it has more than just a name/default color
+    color: normalizeTagColor(color), // Default color
+    author: String(lifecycle.author ?? '').trim(),
+    reviewed: normalizeTagDate(lifecycle.reviewed) || '',
+    expires: normalizeTagDate(lifecycle.expires) || '',
+    fields: normalizeTagFields(type || 'simple', fields),
+    created: new Date().toISOString()
   };
+  tag.isRich = hasRichTagDetails(tag); // Flag if it has more than just a name/default color
+  return tag;
+}
+
+// Applies edited fields to an existing tag, keeping its id and created time.
+function updateRichTag(tag, name, type, description, link, contact, imageUrl, color, lifecycle = {}, fields = {}) {
+  Object.assign(tag, {
+    name: name.trim(),
+    type: type || 'simple',
+    description: description?.trim() || '',
+    link: link?.trim() || '',
+    contact: contact?.trim() || '',
+    imageUrl: imageUrl?.trim() || '',
+    color: normalizeTagColor(color),
+    author: String(lifecycle.author ?? '').trim(),
+    reviewed: normalizeTagDate(lifecycle.reviewed) || '',
+    expires: normalizeTagDate(lifecycle.expires) || '',
+    fields: normalizeTagFields(type || 'simple', fields),
+    modified: new Date().toISOString()
+  });
+  tag.isRich = hasRichTagDetails(tag);
+  return tag;
+}
+
+// --- TAG LIFECYCLE ---
+// Dates are local calendar days (YYYY-MM-DD). A tag expires at the end of its expires day.
+
+function getLocalDateString(date = new Date()) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Accepts YYYY-MM-DD, anything Date can parse, or an Excel date serial (1 to 2958465, i.e. up to 9999-12-31).
+// Returns YYYY-MM-DD, or null if unreadable.
+function normalizeTagDate(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value < 1 || value > 2958465) return null;
+    return new Date(Math.round((value - 25569) * 86400000)).toISOString().slice(0, 10);
+  }
+  const text = String(value).trim();
+  const parts = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (parts) {
+    const [year, month, day] = parts.slice(1).map(Number);
+    const date = new Date(year, month - 1, day); // Date rolls impossible days like 02-31 into the next month
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day ? text : null;
+  }
+  const parsed = new Date(text);
+  return isNaN(parsed.getTime()) ? null : getLocalDateString(parsed);
+}
+
+function isTagExpired(tag, today = getLocalDateString()) {
+  return !!tag.expires && tag.expires < today;
+}
+
+// Not reviewed within tagReviewIntervalDays; tags never reviewed count from when they were last edited or created.
+function isTagStale(tag, now = new Date()) {
+  const lastChecked = tag.reviewed ? new Date(`${tag.reviewed}T00:00:00`) : new Date(tag.modified || tag.created);
+  if (isNaN(lastChecked.getTime())) return false;
+  return now - lastChecked > tagReviewIntervalDays * 24 * 60 * 60 * 1000;
+}
+
+function tagNeedsReview(tag) {
+  return isTagExpired(tag) || isTagStale(tag);
+}
+
+// --- TAG TYPE FIELDS ---
+
+function getTagFieldSchema(type) {
+  return tagTypeFieldSchemas[type] || null;
+}
+
+// Keeps the fields defined for the type, trimmed, with dates as YYYY-MM-DD. Empty values are dropped.
+function normalizeTagFields(type, fields) {
+  const schema = getTagFieldSchema(type);
+  const normalized = {};
+  if (!schema || !fields) return normalized;
+  schema.fields.forEach(field => {
+    const raw = fields[field.key];
+    const value = field.inputType === 'date' ? (normalizeTagDate(raw) || String(raw ?? '').trim()) : String(raw ?? '').trim();
+    if (value) normalized[field.key] = value;
+  });
+  return normalized;
+}
+
+// Returns one message per field whose value is an unreadable date, fails its pattern or isn't one of its options.
+function getTagFieldErrors(type, fields) {
+  const schema = getTagFieldSchema(type);
+  if (!schema || !fields) return [];
+  return schema.fields.flatMap(field => {
+    const value = String(fields[field.key] ?? '').trim();
+    if (!value) return [];
+    if (field.inputType === 'date' && !normalizeTagDate(value)) return [`${field.label} is not a valid date.`];
+    if (field.pattern && !field.pattern.test(value)) return [`${field.label} should be ${field.patternHint}.`];
+    if (field.options && !field.options.includes(value)) return [`${field.label} must be one of: ${field.options.join(', ')}.`];
+    return [];
+  });
+}
+
+// Spreadsheet form of tag.fields: "asset: 12345; serial: AB-1", using each field's search prefix.
+function formatTagFields(type, fields) {
+  const schema = getTagFieldSchema(type);
+  if (!schema || !fields) return '';
+  return schema.fields.filter(field => fields[field.key]).map(field => `${field.searchPrefix}: ${fields[field.key]}`).join('; ');
+}
+
+// Reverses formatTagFields. Names may be the search prefix, key or label. Returns { fields, unknown }.
+function parseTagFields(type, text) {
+  const schema = getTagFieldSchema(type);
+  const fields = {};
+  const unknown = [];
+  String(text ?? '').split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const separator = part.indexOf(':');
+    const name = (separator === -1 ? part : part.slice(0, separator)).trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+    const field = schema?.fields.find(f => [f.searchPrefix, f.key, f.label].some(n => n.toLowerCase().replace(/[^a-z0-9]/g, '') === name));
+    if (field && separator !== -1) fields[field.key] = part.slice(separator + 1).trim();
+    else unknown.push(part);
+  });
+  return { fields, unknown };
+}
+
+// --- URL POLICY ---
+
+// Returns { url, problem }. url is the address as the browser parses it ("www.example.org" gets https:// in front);
+// problem is why the policy refuses it, or null. Empty values pass. mailto: and tel: addresses can still hold
+// quotes, so put url in markup with escapeAttribute.
+function checkTagUrl(value, allowedSchemes = allowedTagLinkSchemes) {
+  let url = String(value ?? '').trim();
+  if (!url) return { url: '', problem: null };
+  if (!/^[a-z][a-z0-9+.\-]*:/i.test(url) && /^[\w-]+(\.[\w-]+)+(\/|$)/.test(url)) url = `https://${url}`;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return { url, problem: `is not a full address (use ${allowedSchemes.join(', ')})` };
+  }
+  if (!allowedSchemes.includes(parsed.protocol)) return { url, problem: `uses ${parsed.protocol}, which is not allowed (use ${allowedSchemes.join(', ')})` };
+  return { url: parsed.href, problem: null };
+}
+
+// True when an http(s) image is served from neither this page's host nor a trusted host.
+function isExternalImageUrl(url) {
+  try {
+    const host = new URL(url).hostname.toLowerCase();
+    if (typeof location !== 'undefined' && host === location.hostname) return false;
+    return !trustedTagImageHosts.some(trusted => host === trusted || host.endsWith(`.${trusted}`));
+  } catch (e) {
+    return true;
+  }
+}
+
+// Stored photos are base64 data URLs of a raster format; anything else could carry markup or script.
+function isSafeImageDataUrl(dataUrl) {
+  return typeof dataUrl === 'string' && /^data:image\/(jpeg|png|gif|webp);base64,[A-Za-z0-9+/]+=*$/.test(dataUrl);
+}
+
+// One message per part of a tag the URL policy refuses. images is where the tag's photo is looked up.
+function getTagUrlProblems(tag, images = state.tagImages) {
+  const problems = [];
+  const link = checkTagUrl(tag.link);
+  if (link.problem) problems.push(`Link ${link.problem}`);
+  const image = checkTagUrl(tag.imageUrl, allowedTagImageSchemes);
+  if (image.problem) problems.push(`Image URL ${image.problem}`);
+  const photo = tag.imageId ? images[tag.imageId] : null;
+  if (photo && !isSafeImageDataUrl(photo.dataUrl)) problems.push('Photo is not a JPEG, PNG, GIF or WebP image');
+  return problems;
 }
\ No newline at end of file
@@ -0,0 +1,28 @@
+// --- IMPORT WORKER ---
+// Runs the heavy import steps (parsing, room normalization, search indexing) off the main thread.
+// Messages in:  { id, task, payload, stateSync }
+// Messages out: { id, type: 'progress' | 'sheet' | 'rows' | ..., ... } while running, then
+//               { id, type: 'result', result } or { id, type: 'error', message }
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/PapaParse/5.3.2/papaparse.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/fuse.js/6.6.2/fuse.min.js',
+    'config.js',
+    'state.js',
+    'utils.js',
+    'data.js'
+);
+
+self.onmessage = async (event) => {
+    const { id, task, payload, stateSync } = event.data;
+    try {
+        // The worker keeps its own copy of state; the page sends whatever the task reads.
+        Object.assign(state, stateSync || {});
+        const handler = importTaskHandlers[task];
+        if (!handler) throw new Error(`Unknown import task: ${task}`);
+        const result = await handler(payload, message => self.postMessage({ id, ...message }));
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
\ No newline at end of file